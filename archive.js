@@ -0,0 +1,72 @@
+// Donkdle Archive - lists past daily puzzles with their saved results
+class DonkdleArchive {
+    constructor() {
+        this.i18n = new DonkdleI18n();
+        this.version = this.getGameVersion();
+        this.i18n.translatePage();
+        this.i18n.setupPicker(document.getElementById('languagePicker'), () => {
+            this.i18n.translatePage();
+            this.render();
+        });
+        this.render();
+    }
+
+    getGameVersion() {
+        const params = new URLSearchParams(window.location.search);
+        return params.get('version') || '1';
+    }
+
+    getDayStatus(date) {
+        const saved = localStorage.getItem(DonkdleEngine.getDayKey(date, this.version));
+        if (!saved) return 'unplayed';
+
+        try {
+            const state = JSON.parse(saved);
+            if (state.gameOver) return state.gameWon ? 'solved' : 'failed';
+            return state.guesses && state.guesses.length > 0 ? 'in-progress' : 'unplayed';
+        } catch (e) {
+            return 'unplayed';
+        }
+    }
+
+    render() {
+        document.getElementById(`versionTab${this.version === '2' ? '2' : '1'}`).classList.add('active');
+
+        const statusIcons = {
+            'solved': '✅',
+            'failed': '❌',
+            'in-progress': '▶️',
+            'unplayed': '⬜'
+        };
+
+        // Every day from yesterday back to the first scheduled puzzle
+        const today = DonkdleEngine.getDayNumber(DonkdleEngine.getPuzzleDay());
+        const list = document.getElementById('archiveList');
+        list.innerHTML = '';
+
+        for (let day = today - 1; day >= 0; day--) {
+            const date = DonkdleEngine.getDateForDay(day);
+            const status = this.getDayStatus(date);
+            const versionParam = this.version === '2' ? '&version=2' : '';
+
+            const item = document.createElement('a');
+            item.className = `archive-item ${status}`;
+            item.href = `game.html?mode=archive&date=${DonkdleEngine.formatDateParam(date)}${versionParam}`;
+            item.innerHTML = `
+                <span class="archive-status">${statusIcons[status]}</span>
+                <span class="archive-date">${this.i18n.formatDate(date, { weekday: 'short', year: 'numeric', month: 'short', day: 'numeric' })}</span>
+                <span class="archive-day">#${day + 1}</span>
+            `;
+            list.appendChild(item);
+        }
+
+        if (today <= 0) {
+            list.innerHTML = `<p class="archive-empty">${this.i18n.t('archive.empty')}</p>`;
+        }
+    }
+}
+
+// Initialize archive when page loads
+document.addEventListener('DOMContentLoaded', () => {
+    new DonkdleArchive();
+});
@@ -0,0 +1,296 @@
+// Donkdle Backup - exports all saved progress to a versioned JSON file and
+// merges such a file back into storage.
+// Takes a localStorage-like object so it can also run under Node.
+if (typeof DonkdleStats === 'undefined' && typeof require !== 'undefined') {
+    globalThis.DonkdleStats = require('./stats.js');
+}
+if (typeof DonkdleDataset === 'undefined' && typeof require !== 'undefined') {
+    globalThis.DonkdleDataset = require('./dataset.js');
+}
+
+class DonkdleBackup {
+    static isDonkdleKey(key) {
+        return typeof key === 'string' && key.startsWith('donkdle_');
+    }
+
+    static parseValue(raw) {
+        try {
+            return JSON.parse(raw);
+        } catch (e) {
+            return raw;
+        }
+    }
+
+    static export(storage, now = new Date()) {
+        const data = {};
+        for (let i = 0; i < storage.length; i++) {
+            const key = storage.key(i);
+            if (DonkdleBackup.isDonkdleKey(key)) {
+                data[key] = DonkdleBackup.parseValue(storage.getItem(key));
+            }
+        }
+        return {
+            format: DonkdleBackup.FORMAT,
+            version: DonkdleBackup.VERSION,
+            exportedAt: now.toISOString(),
+            data
+        };
+    }
+
+    static validate(backup) {
+        // Returns a list of problems; empty if the file can be imported
+        if (!backup || typeof backup !== 'object' || Array.isArray(backup)) {
+            return ['File is not a Donkdle backup'];
+        }
+        if (backup.format !== DonkdleBackup.FORMAT) {
+            return ['File is not a Donkdle backup'];
+        }
+        if (!Number.isInteger(backup.version) || backup.version < 1) {
+            return ['Backup has an invalid version'];
+        }
+        if (backup.version > DonkdleBackup.VERSION) {
+            return [`Backup version ${backup.version} is newer than this game supports`];
+        }
+        if (!backup.data || typeof backup.data !== 'object' || Array.isArray(backup.data)) {
+            return ['Backup has no data'];
+        }
+
+        const problems = [];
+        for (const [key, value] of Object.entries(backup.data)) {
+            const localKey = DonkdleBackup.getLocalKey(key);
+            if (!DonkdleBackup.isDonkdleKey(key)) {
+                problems.push(`Unexpected key "${key}"`);
+            } else if (DonkdleBackup.isGameKey(key) &&
+                (!value || typeof value !== 'object' || !Array.isArray(value.guesses))) {
+                problems.push(`Saved game "${key}" is malformed`);
+            } else if (DonkdleBackup.isRunKey(localKey) && (!value || typeof value !== 'object')) {
+                problems.push(`Saved run "${key}" is malformed`);
+            } else if (localKey === 'donkdle_history') {
+                if (!Array.isArray(value)) {
+                    problems.push(`Game history "${key}" is malformed`);
+                    continue;
+                }
+                value.forEach((entry, index) => {
+                    if (!DonkdleBackup.isHistoryEntry(entry)) {
+                        problems.push(`Game history "${key}" has a malformed entry at position ${index + 1}`);
+                    }
+                });
+            }
+        }
+        return problems;
+    }
+
+    static isHistoryEntry(entry) {
+        // As written by DonkdleStats.record
+        return !!entry && typeof entry === 'object' &&
+            typeof entry.date === 'string' && DonkdleEngine.parseDateParam(entry.date) !== null &&
+            (entry.version === '1' || entry.version === '2') &&
+            typeof entry.won === 'boolean' &&
+            Number.isInteger(entry.guesses) && entry.guesses >= 1;
+    }
+
+    static getDatasetId(key) {
+        // Alternate datasets keep their keys under donkdle_dataset_<id>_ (see DonkdleDataset.namespace)
+        const match = /^donkdle_dataset_([a-z0-9-]+)_/.exec(key);
+        return match ? match[1] : null;
+    }
+
+    static getLocalKey(key) {
+        // The key as the dataset's own namespace sees it, e.g. donkdle_history
+        const id = DonkdleBackup.getDatasetId(key);
+        return id ? `donkdle_${key.slice(`donkdle_dataset_${id}_`.length)}` : key;
+    }
+
+    static isGameKey(key) {
+        // Saved daily, archive and challenge games, also those of alternate datasets
+        return /^donkdle_(dataset_[a-z0-9-]+_)?(\d{4}_\d{1,2}_\d{1,2}(_v2)?|challenge_.+)$/.test(key);
+    }
+
+    static isStatsKey(key) {
+        return /^donkdle_stats_v[12]_(normal|hard)$/.test(key);
+    }
+
+    static isRunKey(key) {
+        // The marathon run and versus match in progress
+        return /^donkdle_(marathon|versus)(_v2)?$/.test(key);
+    }
+
+    static stage(storage) {
+        // A storage view that keeps writes in memory until commit(), so a
+        // merge that fails halfway leaves storage as it was
+        const writes = new Map();
+        const keys = () => {
+            const all = new Set();
+            for (let i = 0; i < storage.length; i++) all.add(storage.key(i));
+            for (const [key, value] of writes) {
+                if (value === null) all.delete(key);
+                else all.add(key);
+            }
+            return [...all];
+        };
+        return {
+            getItem: key => (writes.has(key) ? writes.get(key) : storage.getItem(key)),
+            setItem: (key, value) => writes.set(key, String(value)),
+            removeItem: key => writes.set(key, null),
+            key: index => keys()[index] ?? null,
+            get length() { return keys().length; },
+            commit: () => writes.forEach((value, key) => {
+                if (value === null) storage.removeItem(key);
+                else storage.setItem(key, value);
+            })
+        };
+    }
+
+    static mergeGame(local, imported) {
+        // Returns the state to keep, or null when the two results conflict
+        if (!local.gameOver && imported.gameOver) return imported;
+        if (local.gameOver && !imported.gameOver) return local;
+        if (!local.gameOver) {
+            return imported.guesses.length > local.guesses.length ? imported : local;
+        }
+        const sameResult = local.gameWon === imported.gameWon &&
+            local.guesses.length === imported.guesses.length;
+        return sameResult ? local : null;
+    }
+
+    static mergeRun(local, imported) {
+        // Returns whichever marathon run or versus match got further, or null on a tie
+        const rounds = state => (Array.isArray(state.rounds) ? state.rounds.length : 0);
+        const guesses = state => (state.current && Array.isArray(state.current.guesses) ? state.current.guesses.length : 0);
+        const ahead = (rounds(imported) - rounds(local)) || (guesses(imported) - guesses(local));
+        if (ahead === 0) return null;
+        return ahead > 0 ? imported : local;
+    }
+
+    static merge(storage, backup) {
+        // Merges a validated backup into storage. Local data wins conflicts,
+        // which are listed in the returned report. Nothing is written
+        // unless the whole backup merged.
+        const report = { added: 0, updated: 0, conflicts: [] };
+        const staged = DonkdleBackup.stage(storage);
+
+        // The official dataset and each alternate one merge on their own
+        const namespaces = new Map();
+        for (const [key, value] of Object.entries(backup.data)) {
+            const id = DonkdleBackup.getDatasetId(key);
+            if (!namespaces.has(id)) namespaces.set(id, {});
+            namespaces.get(id)[DonkdleBackup.getLocalKey(key)] = value;
+        }
+        for (const [id, data] of namespaces) {
+            const view = id ? DonkdleDataset.namespace(staged, id) : staged;
+            const label = key => (id ? `donkdle_dataset_${id}_${key.slice('donkdle_'.length)}` : key);
+            DonkdleBackup.mergeNamespace(view, data, report, label);
+        }
+
+        staged.commit();
+        return report;
+    }
+
+    static mergeNamespace(storage, data, report, label) {
+        // data is keyed as the namespace sees it; label() gives the stored key for the report
+        const stats = new DonkdleStats(storage);
+
+        // Stats are rebuilt from the merged history below, so remember the old streaks
+        const previousStats = {};
+        for (const key of Object.keys(data).filter(DonkdleBackup.isStatsKey)) {
+            previousStats[key] = [DonkdleBackup.parseValue(storage.getItem(key)), data[key]];
+        }
+
+        for (const [key, value] of Object.entries(data)) {
+            if (DonkdleBackup.isStatsKey(key) || key === 'donkdle_history') continue;
+
+            const raw = storage.getItem(key);
+            if (raw === null) {
+                storage.setItem(key, JSON.stringify(value));
+                report.added++;
+                continue;
+            }
+
+            const local = DonkdleBackup.parseValue(raw);
+            if (JSON.stringify(local) === JSON.stringify(value)) continue;
+
+            if (key === 'donkdle_personal_bests' && local && typeof local === 'object') {
+                // Keep the faster time for every variant
+                for (const [variant, best] of Object.entries(value || {})) {
+                    if (!local[variant] || best.time < local[variant].time) {
+                        local[variant] = best;
+                        report.updated++;
+                    }
+                }
+                storage.setItem(key, JSON.stringify(local));
+            } else if (key === 'donkdle_marathon_scores' && local && typeof local === 'object') {
+                // Combine both high-score tables
+                for (const [variant, entries] of Object.entries(value || {})) {
+                    const known = new Set((local[variant] || []).map(entry => JSON.stringify(entry)));
+                    const added = (entries || []).filter(entry => !known.has(JSON.stringify(entry)));
+                    if (added.length === 0) continue;
+                    local[variant] = DonkdleStats.sortMarathonScores([...(local[variant] || []), ...added]);
+                    report.updated++;
+                }
+                storage.setItem(key, JSON.stringify(local));
+            } else if (DonkdleBackup.isGameKey(key) && local && Array.isArray(local.guesses)) {
+                const kept = DonkdleBackup.mergeGame(local, value);
+                if (kept === null) {
+                    report.conflicts.push(`${label(key)}: different results on each device, kept this device's`);
+                } else if (kept === value) {
+                    storage.setItem(key, JSON.stringify(value));
+                    report.updated++;
+                }
+            } else if (DonkdleBackup.isRunKey(key) && local && typeof local === 'object') {
+                const kept = DonkdleBackup.mergeRun(local, value);
+                if (kept === null) {
+                    report.conflicts.push(`${label(key)}: different runs on each device, kept this device's`);
+                } else if (kept === value) {
+                    storage.setItem(key, JSON.stringify(value));
+                    report.updated++;
+                }
+            } else if (/^donkdle_(hardMode|strictMode|timedMode|colorblindMode)$/.test(key)) {
+                // Settings always stay as they are on this device
+                continue;
+            } else {
+                report.conflicts.push(`${label(key)}: differs from this device, kept this device's`);
+            }
+        }
+
+        // Union of day results
+        const history = stats.getHistory();
+        const entryKey = entry => `${entry.date}_v${entry.version}_${entry.hardMode ? 'hard' : 'normal'}`;
+        const known = new Map(history.map(entry => [entryKey(entry), entry]));
+        for (const entry of data.donkdle_history || []) {
+            const existing = known.get(entryKey(entry));
+            if (!existing) {
+                history.push(entry);
+                known.set(entryKey(entry), entry);
+                report.added++;
+            } else if (existing.won !== entry.won || existing.guesses !== entry.guesses) {
+                report.conflicts.push(`${entry.date} (v${entry.version}${entry.hardMode ? ', hard' : ''}): different results on each device, kept this device's`);
+            }
+        }
+        stats.rebuildFromHistory(history);
+
+        // Keep the longer streaks
+        for (const [key, sides] of Object.entries(previousStats)) {
+            const rebuilt = DonkdleBackup.parseValue(storage.getItem(key)) || {};
+            for (const side of sides) {
+                if (!side) continue;
+                rebuilt.maxStreak = Math.max(rebuilt.maxStreak || 0, side.maxStreak || 0);
+                if (side.lastPlayed === rebuilt.lastPlayed) {
+                    rebuilt.currentStreak = Math.max(rebuilt.currentStreak || 0, side.currentStreak || 0);
+                }
+            }
+            rebuilt.maxStreak = Math.max(rebuilt.maxStreak || 0, rebuilt.currentStreak || 0);
+            storage.setItem(key, JSON.stringify(rebuilt));
+        }
+
+        // Pre-split stats from an older device get migrated like local ones
+        new DonkdleStats(storage);
+        return report;
+    }
+}
+
+DonkdleBackup.FORMAT = 'donkdle-backup';
+DonkdleBackup.VERSION = 1;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DonkdleBackup;
+}
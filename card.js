@@ -0,0 +1,113 @@
+// Donkdle Card - draws a finished game as a PNG result card.
+// The game passes in everything already translated; this only lays it out.
+class DonkdleCard {
+    constructor(card) {
+        // card: { lines, result, columns, rows: [{ statuses, arrow, name }],
+        //         colors: { correct, present, absent }, marks, footer }
+        this.card = card;
+    }
+
+    static loadLogo() {
+        // Resolves with null if the logo can't be loaded; the card then uses text
+        return new Promise(resolve => {
+            const logo = new Image();
+            logo.onload = () => resolve(logo);
+            logo.onerror = () => resolve(null);
+            logo.src = 'DONKDLE.png';
+        });
+    }
+
+    async render(canvas = document.createElement('canvas')) {
+        const card = this.card;
+        const { WIDTH, PADDING, CELL_HEIGHT, CELL_GAP, NAME_HEIGHT } = DonkdleCard;
+        const named = card.rows.some(row => row.name);
+        const rowHeight = CELL_HEIGHT + CELL_GAP + (named ? NAME_HEIGHT : 0);
+        const gridTop = 200;
+
+        canvas.width = WIDTH;
+        canvas.height = gridTop + 30 + card.rows.length * rowHeight + 70;
+        const ctx = canvas.getContext('2d');
+
+        ctx.fillStyle = '#121213';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.fillStyle = '#003d03';
+        ctx.fillRect(0, 0, canvas.width, 120);
+
+        // The logo is pixel art, so scale it up without smoothing
+        const logo = await DonkdleCard.loadLogo();
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        if (logo) {
+            const scale = 3;
+            ctx.imageSmoothingEnabled = false;
+            ctx.drawImage(logo, (WIDTH - logo.width * scale) / 2, 60 - logo.height * scale / 2,
+                logo.width * scale, logo.height * scale);
+        } else {
+            ctx.fillStyle = '#ffffff';
+            ctx.font = 'bold 48px Arial, sans-serif';
+            ctx.fillText('DONKDLE', WIDTH / 2, 60);
+        }
+
+        ctx.fillStyle = '#ffffff';
+        ctx.font = 'bold 22px Arial, sans-serif';
+        ctx.fillText(card.lines[0], WIDTH / 2, 142);
+        ctx.fillStyle = '#818384';
+        ctx.font = '18px Arial, sans-serif';
+        ctx.fillText(card.lines.slice(1).join(' • '), WIDTH / 2, 172);
+
+        // Column headers, then one row of cells per guess
+        const cellWidth = (WIDTH - PADDING * 2 - CELL_GAP * 3) / 4;
+        ctx.font = 'bold 13px Arial, sans-serif';
+        card.columns.forEach((label, i) => {
+            ctx.fillText(label, PADDING + i * (cellWidth + CELL_GAP) + cellWidth / 2, gridTop + 10);
+        });
+
+        card.rows.forEach((row, r) => {
+            let y = gridTop + 30 + r * rowHeight;
+            if (named) {
+                ctx.fillStyle = '#ffffff';
+                ctx.font = '15px Arial, sans-serif';
+                ctx.textAlign = 'left';
+                ctx.fillText(`${r + 1}. ${row.name}`, PADDING, y + NAME_HEIGHT / 2, WIDTH - PADDING * 2);
+                ctx.textAlign = 'center';
+                y += NAME_HEIGHT;
+            }
+            row.statuses.forEach((status, i) => {
+                const x = PADDING + i * (cellWidth + CELL_GAP);
+                ctx.fillStyle = card.colors[status] || card.colors.absent;
+                ctx.fillRect(x, y, cellWidth, CELL_HEIGHT);
+
+                // Colorblind cards mark each status as well as coloring it
+                const mark = (card.marks ? card.marks[status] : '') + (i === 0 && row.arrow ? ` ${row.arrow}` : '');
+                if (mark.trim()) {
+                    ctx.fillStyle = '#ffffff';
+                    ctx.font = 'bold 22px Arial, sans-serif';
+                    ctx.fillText(mark.trim(), x + cellWidth / 2, y + CELL_HEIGHT / 2);
+                }
+            });
+        });
+
+        ctx.fillStyle = '#ffffff';
+        ctx.font = 'bold 24px Arial, sans-serif';
+        const bottom = gridTop + 30 + card.rows.length * rowHeight;
+        ctx.fillText(card.result, WIDTH / 2, bottom + 20);
+        ctx.fillStyle = '#818384';
+        ctx.font = '14px Arial, sans-serif';
+        ctx.fillText(card.footer, WIDTH / 2, bottom + 50);
+
+        return canvas;
+    }
+
+    async toBlob() {
+        const canvas = await this.render();
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not draw the result card'))), 'image/png');
+        });
+    }
+}
+
+DonkdleCard.WIDTH = 600;
+DonkdleCard.PADDING = 30;
+DonkdleCard.CELL_HEIGHT = 44;
+DonkdleCard.CELL_GAP = 8;
+DonkdleCard.NAME_HEIGHT = 26;
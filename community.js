@@ -0,0 +1,105 @@
+// Donkdle Community - picks alternate location datasets to play
+class DonkdleCommunity {
+    constructor() {
+        this.i18n = new DonkdleI18n();
+        this.init();
+    }
+
+    init() {
+        this.i18n.translatePage();
+        this.i18n.setupPicker(document.getElementById('languagePicker'), () => {
+            this.i18n.translatePage();
+            this.render();
+        });
+
+        document.getElementById('datasetFile').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) this.addFile(file);
+            e.target.value = '';
+        });
+        this.render();
+    }
+
+    async addFile(file) {
+        let dataset;
+        try {
+            // Files without a "name" go by their file name
+            dataset = DonkdleDataset.parse(JSON.parse(await file.text()), file.name.replace(/\.json$/i, ''));
+        } catch (error) {
+            console.error('Error reading dataset:', error);
+            this.showMessage(this.i18n.t('message.datasetError', { error: error.message }), 'error');
+            return;
+        }
+
+        dataset.source = `local:${dataset.id}`;
+        DonkdleDataset.cache(localStorage, dataset);
+        this.showMessage(this.i18n.t('community.added', { name: dataset.name }), 'success');
+        this.render();
+    }
+
+    render() {
+        const list = document.getElementById('datasetList');
+        const datasets = Object.values(DonkdleDataset.getCached(localStorage));
+        if (datasets.length === 0) {
+            list.innerHTML = `<p class="practice-summary">${this.i18n.t('community.none')}</p>`;
+            return;
+        }
+
+        const modes = ['daily', 'random', 'marathon'];
+        list.innerHTML = datasets.map(dataset => `
+            <div class="dataset-card">
+                <div class="dataset-name">${this.escape(dataset.name)}</div>
+                <div class="dataset-details">
+                    ${this.i18n.t('community.count', { count: DonkdleEngine.filterLocations(dataset.locations).length })}
+                    • ${this.escape(dataset.source)}
+                    ${dataset.warnings > 0 ? `• ${this.i18n.t('community.warnings', { count: dataset.warnings })}` : ''}
+                </div>
+                <div class="dataset-actions">
+                    ${modes.map(mode => `
+                        <button type="button" class="version-tab" data-play="${this.escape(dataset.source)}" data-mode="${mode}">${this.i18n.t(`community.${mode}`)}</button>
+                    `).join('')}
+                    <button type="button" class="version-tab" data-remove="${this.escape(dataset.id)}">${this.i18n.t('community.remove')}</button>
+                </div>
+            </div>
+        `).join('');
+
+        list.querySelectorAll('[data-play]').forEach(button => {
+            button.addEventListener('click', () => {
+                const params = new URLSearchParams({ mode: button.dataset.mode, dataset: button.dataset.play });
+                if (document.querySelector('input[name="datasetVersion"]:checked').value === '2') {
+                    params.set('version', '2');
+                }
+                window.location.href = `game.html?${params.toString()}`;
+            });
+        });
+        list.querySelectorAll('[data-remove]').forEach(button => {
+            button.addEventListener('click', () => {
+                DonkdleDataset.removeCached(localStorage, button.dataset.remove);
+                this.render();
+            });
+        });
+    }
+
+    escape(text) {
+        // Dataset names come from user files, so don't render them as markup
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    showMessage(text, type = 'info') {
+        const message = document.getElementById('message');
+        message.textContent = text;
+        message.className = `message ${type}`;
+
+        setTimeout(() => {
+            message.textContent = '';
+            message.className = 'message';
+        }, 3000);
+    }
+}
+
+// Initialize dataset picker when page loads
+document.addEventListener('DOMContentLoaded', () => {
+    new DonkdleCommunity();
+});
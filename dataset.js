@@ -0,0 +1,273 @@
+// Donkdle Dataset - schema and consistency checks for location lists.
+// Used by tools/validate-dataset.js under Node, and by the game to load,
+// cache and keep apart alternate datasets.
+if (typeof DonkdleEngine === 'undefined' && typeof require !== 'undefined') {
+    globalThis.DonkdleEngine = require('./engine.js');
+}
+
+class DonkdleDataset {
+    static validate(locations) {
+        // Returns { errors, warnings }, each a list of { check, id, message }
+        const report = { errors: [], warnings: [] };
+        const error = (check, id, message) => report.errors.push({ check, id, message });
+        const warning = (check, id, message) => report.warnings.push({ check, id, message });
+
+        if (!Array.isArray(locations)) {
+            error('schema', null, 'Dataset must be a JSON array of locations');
+            return report;
+        }
+
+        const ids = new Map();
+        const names = new Map();
+
+        locations.forEach((loc, index) => {
+            if (!loc || typeof loc !== 'object' || Array.isArray(loc)) {
+                error('schema', `#${index}`, 'Entry is not an object');
+                return;
+            }
+
+            const id = typeof loc.id === 'string' && loc.id ? loc.id : `#${index}`;
+
+            // Schema
+            for (const field of ['id', 'name', 'hint_region', 'level', 'kong', 'type']) {
+                if (typeof loc[field] !== 'string' || loc[field].trim() === '') {
+                    error('schema', id, `"${field}" must be a non-empty string`);
+                }
+            }
+            if (!Number.isInteger(loc.requirement_count) || loc.requirement_count < 0) {
+                error('schema', id, '"requirement_count" must be a non-negative integer');
+            }
+            if (!Array.isArray(loc.moves) || loc.moves.some(move => typeof move !== 'string')) {
+                error('schema', id, '"moves" must be an array of strings');
+            }
+            for (const field of Object.keys(loc)) {
+                if (!DonkdleDataset.FIELDS.includes(field)) {
+                    warning('schema', id, `Unknown field "${field}"`);
+                }
+            }
+
+            // Unique ids
+            if (typeof loc.id === 'string') {
+                if (ids.has(loc.id)) {
+                    error('unique-ids', id, `Duplicate id (also entry #${ids.get(loc.id)})`);
+                } else {
+                    ids.set(loc.id, index);
+                }
+            }
+
+            // Names the autocomplete can tell apart and render
+            if (typeof loc.name === 'string') {
+                if (loc.name !== loc.name.trim()) {
+                    error('names', id, `Name "${loc.name}" has leading or trailing whitespace and can't be guessed`);
+                }
+                if (/["<>]/.test(loc.name)) {
+                    error('names', id, `Name "${loc.name}" contains characters that break the autocomplete list`);
+                }
+                const normalized = loc.name.trim().toLowerCase().replace(/\s+/g, ' ');
+                if (names.has(normalized)) {
+                    error('names', id, `Name "${loc.name}" is indistinguishable from ${names.get(normalized)}`);
+                } else {
+                    names.set(normalized, id);
+                }
+            }
+
+            // Known vocabulary
+            if (typeof loc.level === 'string') {
+                if (DonkdleEngine.EXCLUDED_LEVELS.includes(loc.level)) {
+                    error('levels', id, `Level "${loc.level}" is excluded from the game`);
+                } else if (!DonkdleEngine.LEVELS.includes(loc.level)) {
+                    error('levels', id, `Unknown level "${loc.level}"`);
+                }
+            }
+            if (typeof loc.kong === 'string') {
+                const kongs = loc.kong.split(',').map(k => k.trim());
+                for (const kong of kongs) {
+                    if (!DonkdleEngine.KONGS.includes(kong)) {
+                        error('kongs', id, `Unknown kong "${kong}"`);
+                    }
+                }
+            }
+            if (typeof loc.type === 'string' && !DonkdleEngine.TYPES.includes(loc.type)) {
+                error('types', id, `Unknown type "${loc.type}"`);
+            }
+            if (Array.isArray(loc.moves)) {
+                const seen = new Set();
+                for (const move of loc.moves) {
+                    if (!DonkdleEngine.MOVES.includes(move)) {
+                        error('moves', id, `Unknown move "${move}"`);
+                    }
+                    if (seen.has(move)) {
+                        error('moves', id, `Move "${move}" is listed twice`);
+                    }
+                    seen.add(move);
+                }
+            }
+
+            // Regions
+            if (typeof loc.hint_region === 'string') {
+                const region = DonkdleEngine.REGIONS[loc.hint_region];
+                if (loc.hint_region === 'Unknown') {
+                    warning('regions', id, 'Hint region "Unknown" - the game skips this location');
+                } else if (!region) {
+                    error('regions', id, `Hint region "${loc.hint_region}" has no display name`);
+                } else if (typeof loc.level === 'string' && region.level !== loc.level) {
+                    error('regions', id, `Hint region "${loc.hint_region}" belongs to ${region.level}, not ${loc.level}`);
+                }
+            }
+
+            // Requirement count - the game always uses moves.length
+            if (Number.isInteger(loc.requirement_count) && Array.isArray(loc.moves) &&
+                loc.requirement_count !== loc.moves.length) {
+                error('requirement-count', id,
+                    `requirement_count is ${loc.requirement_count} but moves lists ${loc.moves.length}`);
+            }
+        });
+
+        return report;
+    }
+
+    static parse(data, fallbackName = '', source = '') {
+        // A dataset file is a list of locations, or { name, locations } to name it.
+        // Returns { id, name, locations, warnings }; throws with the problems that
+        // keep it from being played. Checks outside BLOCKING_CHECKS only warn.
+        // source is where the file came from; without one, its contents identify it.
+        const locations = Array.isArray(data) ? data : data && data.locations;
+        const name = String((data && !Array.isArray(data) && data.name) || fallbackName).trim();
+        if (!Array.isArray(locations)) {
+            throw new Error('Dataset must be a list of locations or an object with "name" and "locations"');
+        }
+        if (!name) {
+            throw new Error('Dataset has no name');
+        }
+
+        const report = DonkdleDataset.validate(locations);
+        const errors = report.errors.filter(issue => DonkdleDataset.BLOCKING_CHECKS.includes(issue.check));
+        if (errors.length > 0) {
+            const shown = errors.slice(0, 3).map(issue => `${issue.id || '-'}: ${issue.message}`).join('; ');
+            throw new Error(errors.length > 3 ? `${shown} (and ${errors.length - 3} more)` : shown);
+        }
+        if (DonkdleEngine.filterLocations(locations).length === 0) {
+            throw new Error('Dataset has no playable locations');
+        }
+
+        return {
+            id: DonkdleDataset.getId(name, source || JSON.stringify(locations)),
+            name,
+            locations,
+            warnings: report.errors.length + report.warnings.length
+        };
+    }
+
+    static getId(name, source) {
+        // Two datasets with the same name but a different origin keep their
+        // saved games and stats apart
+        return `${DonkdleDataset.slug(name)}-${DonkdleEngine.hashString(source).toString(36)}`;
+    }
+
+    static slug(name) {
+        return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40) || 'custom';
+    }
+
+    static async load(param, storage, base) {
+        // The dataset URL parameter: a same-origin path, or local:<id> for a
+        // file picked on community.html. Fetched datasets are cached so they
+        // still load offline.
+        if (param.startsWith('local:')) {
+            const cached = DonkdleDataset.getCached(storage)[param.slice(6)];
+            if (!cached) throw new Error(`No saved dataset called "${param.slice(6)}"`);
+            return cached;
+        }
+
+        const url = new URL(param, base);
+        if (url.origin !== new URL(base).origin) {
+            throw new Error('Datasets can only be loaded from this site');
+        }
+
+        let data;
+        try {
+            const response = await fetch(url.href);
+            if (!response.ok) throw new Error(`${url.pathname} returned ${response.status}`);
+            data = await response.json();
+        } catch (error) {
+            const cached = Object.values(DonkdleDataset.getCached(storage)).find(dataset => dataset.source === param);
+            if (cached) return cached;
+            throw error;
+        }
+
+        const dataset = DonkdleDataset.parse(data, url.pathname.split('/').pop().replace(/\.json$/i, ''), url.pathname);
+        dataset.source = param;
+        DonkdleDataset.cache(storage, dataset);
+        return dataset;
+    }
+
+    static getCached(storage) {
+        try {
+            return JSON.parse(storage.getItem(DonkdleDataset.STORAGE_KEY)) || {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    static cache(storage, dataset) {
+        const cached = DonkdleDataset.getCached(storage);
+        cached[dataset.id] = dataset;
+        try {
+            storage.setItem(DonkdleDataset.STORAGE_KEY, JSON.stringify(cached));
+        } catch (e) {
+            // Storage is full; the dataset still plays, it just isn't kept
+            console.warn('Could not cache dataset:', e);
+        }
+    }
+
+    static removeCached(storage, id) {
+        const cached = DonkdleDataset.getCached(storage);
+        delete cached[id];
+        storage.setItem(DonkdleDataset.STORAGE_KEY, JSON.stringify(cached));
+    }
+
+    static namespace(storage, id) {
+        // A storage view for one custom dataset's saved games and stats:
+        // donkdle_stats_v1_normal is kept as donkdle_dataset_<id>_stats_v1_normal
+        const prefix = `donkdle_dataset_${id}_`;
+        const toStorage = key => key.startsWith('donkdle_') ? prefix + key.slice('donkdle_'.length) : key;
+        const keys = () => {
+            const own = [];
+            for (let i = 0; i < storage.length; i++) {
+                const key = storage.key(i);
+                if (key.startsWith(prefix)) own.push(`donkdle_${key.slice(prefix.length)}`);
+            }
+            return own;
+        };
+        return {
+            getItem: key => storage.getItem(toStorage(key)),
+            setItem: (key, value) => storage.setItem(toStorage(key), value),
+            removeItem: key => storage.removeItem(toStorage(key)),
+            key: index => keys()[index] ?? null,
+            get length() { return keys().length; }
+        };
+    }
+}
+
+DonkdleDataset.FIELDS = ['id', 'name', 'hint_region', 'level', 'kong', 'type', 'requirement_count', 'moves'];
+
+// Problems that stop a custom dataset from loading; the game copes with the rest
+DonkdleDataset.BLOCKING_CHECKS = ['schema', 'unique-ids', 'names'];
+
+DonkdleDataset.STORAGE_KEY = 'donkdle_datasets';
+
+// Report sections, in the order they are printed
+DonkdleDataset.CHECKS = {
+    'schema': 'Schema',
+    'unique-ids': 'Unique ids',
+    'names': 'Distinguishable names',
+    'levels': 'Known levels',
+    'kongs': 'Known kongs',
+    'types': 'Known types',
+    'moves': 'Known moves',
+    'regions': 'Region/level consistency',
+    'requirement-count': 'requirement_count matches moves'
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DonkdleDataset;
+}
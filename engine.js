@@ -0,0 +1,824 @@
+// Donkdle Engine - game rules and state with no DOM access.
+// Loaded as a plain <script> in the browser and via require() under Node.
+class DonkdleEngine {
+    constructor(locations = [], options = {}) {
+        this.version = options.version || '1';
+        this.variant = DonkdleEngine.VARIANTS[this.version] || DonkdleEngine.VARIANTS['1'];
+        this.locations = [];
+        this.targetLocation = null;
+        this.guesses = [];
+        this.gameOver = false;
+        this.gameWon = false;
+        this.hints = [];
+        this.scheduleCache = new Map();
+        this.datasetVersion = null;
+        this.setHardMode(options.hardMode || false);
+        this.strictMode = options.strictMode || false;
+        this.timedMode = options.timedMode || false;
+        this.startTime = null;
+        this.endTime = null;
+        this.setLocations(locations);
+    }
+
+    static filterLocations(locations) {
+        // Filter out locations with "Unknown" hint region and other edge cases
+        return (locations || []).filter(loc =>
+            loc.hint_region &&
+            loc.hint_region !== "Unknown" &&
+            loc.name &&
+            loc.name.trim() !== ""
+        );
+    }
+
+    static getDatasetVersion(locations) {
+        // Short fingerprint of a location list, stored with saved games
+        return DonkdleEngine.hashString(JSON.stringify(locations)).toString(16).padStart(8, '0');
+    }
+
+    setLocations(locations) {
+        this.locations = DonkdleEngine.filterLocations(locations);
+        this.datasetVersion = DonkdleEngine.getDatasetVersion(this.locations);
+        this.scheduleCache.clear();
+    }
+
+    setHardMode(enabled) {
+        this.hardMode = enabled;
+        this.maxGuesses = enabled ? 6 : Infinity;
+    }
+
+    setStrictMode(enabled) {
+        this.strictMode = enabled;
+    }
+
+    setTimedMode(enabled) {
+        this.timedMode = enabled;
+    }
+
+    // Timing (timed mode). Times are epoch milliseconds so a saved game
+    // keeps its clock across page reloads.
+
+    startClock(now = Date.now()) {
+        if (!this.timedMode || this.startTime !== null || this.gameOver) return;
+        this.startTime = now;
+    }
+
+    getElapsed(now = Date.now()) {
+        if (this.startTime === null) return 0;
+        return (this.endTime !== null ? this.endTime : now) - this.startTime;
+    }
+
+    // Seeded randomness
+
+    static hashString(str) {
+        // FNV-1a 32-bit hash, used to derive PRNG seeds from strings
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < str.length; i++) {
+            hash ^= str.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    static createRandom(seed) {
+        // mulberry32: small, fast, seedable PRNG returning floats in [0, 1)
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    static shuffle(items, random) {
+        // Fisher-Yates shuffle, returns a new array
+        const result = [...items];
+        for (let i = result.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [result[i], result[j]] = [result[j], result[i]];
+        }
+        return result;
+    }
+
+    // Daily schedule
+    // Day 0 is SCHEDULE_EPOCH. Days are grouped into cycles as long as the
+    // location pool, and each cycle plays a seeded shuffle of the whole pool,
+    // so no location repeats until every location has been the answer once.
+
+    // Puzzle days
+    // A new daily starts at midnight in PUZZLE_TIME_ZONE, wherever the player is.
+    // Puzzle dates are local-midnight Dates holding that calendar day, so they
+    // work with getDayNumber, formatDateParam and getDayKey in any time zone.
+
+    static getZonedParts(now) {
+        // Calendar fields of an instant in the puzzle time zone
+        if (!DonkdleEngine.zoneFormat) {
+            DonkdleEngine.zoneFormat = new Intl.DateTimeFormat('en-US', {
+                timeZone: DonkdleEngine.PUZZLE_TIME_ZONE,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: 'numeric',
+                second: 'numeric'
+            });
+        }
+        const parts = {};
+        for (const part of DonkdleEngine.zoneFormat.formatToParts(now)) {
+            if (part.type !== 'literal') parts[part.type] = Number(part.value);
+        }
+        return parts;
+    }
+
+    static getPuzzleDay(now = new Date()) {
+        // The date of the daily puzzle being played at an instant
+        const { year, month, day } = DonkdleEngine.getZonedParts(now);
+        return new Date(year, month - 1, day);
+    }
+
+    static getZoneOffset(now) {
+        // Milliseconds the puzzle time zone is ahead of UTC at an instant
+        const { year, month, day, hour, minute, second } = DonkdleEngine.getZonedParts(now);
+        return Date.UTC(year, month - 1, day, hour, minute, second) - Math.floor(now.getTime() / 1000) * 1000;
+    }
+
+    static getNextPuzzleTime(now = new Date()) {
+        // The instant the next daily starts. The offset is checked again at
+        // that instant because a DST change may fall in between.
+        const { year, month, day } = DonkdleEngine.getZonedParts(now);
+        const midnight = Date.UTC(year, month - 1, day + 1);
+        const estimate = midnight - DonkdleEngine.getZoneOffset(now);
+        return new Date(midnight - DonkdleEngine.getZoneOffset(new Date(estimate)));
+    }
+
+    static getDayNumber(date) {
+        const day = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate());
+        const [year, month, dayOfMonth] = DonkdleEngine.SCHEDULE_EPOCH;
+        return Math.round((day - Date.UTC(year, month - 1, dayOfMonth)) / 86400000);
+    }
+
+    static getDateForDay(dayNumber) {
+        const [year, month, dayOfMonth] = DonkdleEngine.SCHEDULE_EPOCH;
+        return new Date(year, month - 1, dayOfMonth + dayNumber);
+    }
+
+    static formatDateParam(date) {
+        // YYYY-MM-DD, as used in archive URLs
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    static parseDateParam(value) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+        if (!match) return null;
+        const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+        // Reject dates that rolled over, e.g. 2026-02-31
+        return DonkdleEngine.formatDateParam(date) === value ? date : null;
+    }
+
+    static getDayKey(date, version) {
+        // localStorage key holding the saved game for a puzzle day
+        const versionSuffix = version === '2' ? '_v2' : '';
+        return `donkdle_${date.getFullYear()}_${date.getMonth() + 1}_${date.getDate()}${versionSuffix}`;
+    }
+
+    getScheduleCycle(cycle) {
+        // Each version has its own independent schedule
+        if (!this.scheduleCache.has(cycle)) {
+            const seed = DonkdleEngine.hashString(`donkdle_v${this.version}_cycle${cycle}`);
+            const indices = this.locations.map((_, index) => index);
+            const order = DonkdleEngine.shuffle(indices, DonkdleEngine.createRandom(seed));
+            // Don't open a cycle with the location that closed the one before
+            if (cycle > 0 && order.length > 1) {
+                const previous = this.getScheduleCycle(cycle - 1);
+                if (order[0] === previous[previous.length - 1]) {
+                    [order[0], order[1]] = [order[1], order[0]];
+                }
+            }
+            this.scheduleCache.set(cycle, order);
+        }
+        return this.scheduleCache.get(cycle);
+    }
+
+    getLocationForDay(dayNumber) {
+        const poolSize = this.locations.length;
+        if (poolSize === 0) return null;
+        const cycle = Math.floor(dayNumber / poolSize);
+        const position = dayNumber - cycle * poolSize;
+        return this.locations[this.getScheduleCycle(cycle)[position]];
+    }
+
+    getLocationForDate(date) {
+        return this.getLocationForDay(DonkdleEngine.getDayNumber(date));
+    }
+
+    // Challenge links
+    // Tokens hide the location id behind an XOR stream plus a checksum byte,
+    // so the answer isn't readable from the URL. Each token starts with a
+    // random nonce that seeds its stream, and ids are padded to a fixed
+    // length, so tokens don't give away the id through shared chunks or
+    // their length. This is obfuscation, not encryption.
+
+    static challengeKeystream(length, nonce) {
+        const random = DonkdleEngine.createRandom(DonkdleEngine.hashString(`donkdle_challenge_${nonce.join('.')}`));
+        return Array.from({ length }, () => Math.floor(random() * 256));
+    }
+
+    static encodeChallenge(locationId, random = Math.random) {
+        const nonce = Array.from({ length: DonkdleEngine.CHALLENGE_NONCE_BYTES }, () => Math.floor(random() * 256));
+        // Longer ids (custom datasets) take as many padded blocks as they need
+        const blocks = Math.max(1, Math.ceil(locationId.length / DonkdleEngine.CHALLENGE_ID_LENGTH));
+        const padded = locationId.padEnd(blocks * DonkdleEngine.CHALLENGE_ID_LENGTH, '\0');
+        const bytes = [DonkdleEngine.hashString(locationId) & 0xff, ...Array.from(padded, c => c.charCodeAt(0) & 0xff)];
+        const key = DonkdleEngine.challengeKeystream(bytes.length, nonce);
+        const binary = String.fromCharCode(...nonce, ...bytes.map((b, i) => b ^ key[i]));
+        // base64url without padding
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    static decodeChallenge(token) {
+        // Returns the location id, or null for a malformed or tampered token
+        if (!token || !/^[A-Za-z0-9_-]+$/.test(token)) return null;
+        let binary;
+        try {
+            binary = atob(token.replace(/-/g, '+').replace(/_/g, '/'));
+        } catch (e) {
+            return null;
+        }
+        if (binary.length < DonkdleEngine.CHALLENGE_NONCE_BYTES + 2) return null;
+
+        const nonce = Array.from(binary.slice(0, DonkdleEngine.CHALLENGE_NONCE_BYTES), c => c.charCodeAt(0));
+        const payload = binary.slice(DonkdleEngine.CHALLENGE_NONCE_BYTES);
+        const key = DonkdleEngine.challengeKeystream(payload.length, nonce);
+        const bytes = Array.from(payload, (c, i) => c.charCodeAt(0) ^ key[i]);
+        const locationId = String.fromCharCode(...bytes.slice(1)).replace(/\0+$/, '');
+        return locationId && (DonkdleEngine.hashString(locationId) & 0xff) === bytes[0] ? locationId : null;
+    }
+
+    // Target selection
+
+    selectDailyLocation(date = DonkdleEngine.getPuzzleDay()) {
+        return this.setTarget(this.getLocationForDate(date));
+    }
+
+    selectRandomLocation(random = Math.random, pool = this.locations) {
+        const index = Math.floor(random() * pool.length);
+        return this.setTarget(pool[index]);
+    }
+
+    // Practice pools
+
+    static filterPool(locations, filters) {
+        // Each filter is a list; empty lists don't filter. A location must
+        // match one of the listed levels/regions/kongs/types and need every
+        // listed move.
+        const matches = (list, value) => !list || list.length === 0 || list.includes(value);
+        return locations.filter(loc =>
+            matches(filters.levels, loc.level) &&
+            matches(filters.regions, loc.hint_region) &&
+            matches(filters.kongs, loc.kong) &&
+            matches(filters.types, loc.type) &&
+            (filters.moves || []).every(move => (loc.moves || []).includes(move))
+        );
+    }
+
+    static filtersFromParams(params) {
+        const list = name => (params.get(name) || '').split(',').filter(value => value !== '');
+        return {
+            levels: list('level'),
+            regions: list('region'),
+            kongs: list('kong'),
+            types: list('type'),
+            moves: list('move'),
+            restrictGuesses: params.get('pool') === '1'
+        };
+    }
+
+    static filtersToParams(filters) {
+        const params = new URLSearchParams();
+        for (const [name, key] of DonkdleEngine.FILTER_PARAMS) {
+            if (filters[key] && filters[key].length > 0) params.set(name, filters[key].join(','));
+        }
+        if (filters.restrictGuesses) params.set('pool', '1');
+        return params;
+    }
+
+    static hasFilters(filters) {
+        return DonkdleEngine.FILTER_PARAMS.some(([, key]) => filters[key] && filters[key].length > 0);
+    }
+
+    reset() {
+        // Clears the current game so another target can be played
+        this.guesses = [];
+        this.gameOver = false;
+        this.gameWon = false;
+        this.hints = [];
+        this.startTime = null;
+        this.endTime = null;
+    }
+
+    setTarget(location) {
+        this.targetLocation = location || null;
+        return this.targetLocation;
+    }
+
+    findLocationByName(name) {
+        const lower = name.trim().toLowerCase();
+        return this.locations.find(loc => loc.name.toLowerCase() === lower) || null;
+    }
+
+    findLocationById(id) {
+        return this.locations.find(loc => loc.id === id) || null;
+    }
+
+    // Guessing
+
+    makeGuess(locationName, now = Date.now()) {
+        // Returns { guess } on success or { error } with one of:
+        // 'game-over', 'empty', 'not-found', 'duplicate', or 'strict'
+        // together with the violated clue (see checkStrict)
+        if (this.gameOver) return { error: 'game-over' };
+
+        const name = (locationName || '').trim();
+        if (!name) return { error: 'empty' };
+
+        const guessedLocation = this.findLocationByName(name);
+        if (!guessedLocation) return { error: 'not-found' };
+
+        if (this.guesses.some(g => g.location.id === guessedLocation.id)) {
+            return { error: 'duplicate' };
+        }
+
+        if (this.strictMode) {
+            const violation = this.checkStrict(guessedLocation);
+            if (violation) return { error: 'strict', violation };
+        }
+
+        const feedback = this.evaluateGuess(guessedLocation);
+        const guess = { location: guessedLocation, feedback };
+        if (this.timedMode) {
+            // Split: time since the clock started
+            this.startClock(now);
+            guess.split = now - this.startTime;
+        }
+        this.guesses.push(guess);
+
+        // Check win condition
+        if (guessedLocation.id === this.targetLocation.id) {
+            this.gameWon = true;
+            this.gameOver = true;
+        }
+
+        // Check if max guesses reached (for hard mode)
+        if (this.guesses.length >= this.maxGuesses && !this.gameWon) {
+            this.gameOver = true;
+        }
+
+        if (this.gameOver && this.timedMode) {
+            this.endTime = now;
+        }
+
+        return { guess };
+    }
+
+    // Strict mode
+
+    checkStrict(guessed) {
+        // A guess must reproduce every revealed clue: evaluating an earlier
+        // guess against this one (as if it were the target) has to give the
+        // same greens, yellows and arrows. Gray clues aren't enforced.
+        // Returns null, or { clue, guessNumber, guess, move } for the first
+        // violated clue.
+        for (let i = 0; i < this.guesses.length; i++) {
+            const previous = this.guesses[i];
+            const shown = previous.feedback;
+            const check = this.evaluateGuess(previous.location, guessed);
+            const violation = clue => ({ clue, guessNumber: i + 1, guess: previous });
+
+            if (shown.region.status === 'correct' && check.region.status !== 'correct') {
+                return violation('region');
+            }
+            if (shown.region.status === 'present' && check.region.status !== 'present') {
+                return violation('level');
+            }
+            if (shown.region.arrow && check.region.arrow !== shown.region.arrow) {
+                return violation('level-direction');
+            }
+            if (shown.type.status === 'correct' && check.type.status !== 'correct') {
+                return violation('type');
+            }
+            if (shown.requirement.status === 'correct' && check.requirement.status !== 'correct') {
+                return violation('requirement');
+            }
+            if (shown.requirement.arrow && check.requirement.arrow !== shown.requirement.arrow) {
+                return violation('requirement-direction');
+            }
+
+            const shownMoves = shown.moves.feedback;
+            if (shownMoves.hardMode) {
+                // Hard mode only reveals the overall moves status
+                if (shown.moves.status === 'correct' && check.moves.status !== 'correct') {
+                    return violation('moves-exact');
+                }
+                if (shown.moves.status === 'present' && check.moves.status === 'absent') {
+                    return violation('moves-overlap');
+                }
+            } else {
+                const keptMoves = new Set(guessed.moves || []);
+                const dropped = shownMoves.common.find(move => !keptMoves.has(move));
+                if (dropped) {
+                    return { ...violation('move'), move: dropped };
+                }
+            }
+        }
+        return null;
+    }
+
+    // Hints
+
+    getHintSequence(target = this.targetLocation) {
+        // Hints reveal the target one piece at a time, in this order
+        const hints = [{ kind: 'level', value: target.level }];
+
+        if (this.version === '2' && target.kong === 'Any') {
+            hints.push({ kind: 'type', value: target.type });
+        } else {
+            hints.push({ kind: 'kong', value: target.kong });
+        }
+
+        (target.moves || []).forEach(move => hints.push({ kind: 'move', value: move }));
+        hints.push({ kind: 'region', value: target.hint_region });
+
+        return hints;
+    }
+
+    canTakeHint() {
+        // Hard mode disables hints entirely
+        return !this.hardMode && !this.gameOver && this.targetLocation !== null &&
+            this.hints.length < this.getHintSequence().length;
+    }
+
+    takeHint() {
+        if (!this.canTakeHint()) return null;
+        const hint = this.getHintSequence()[this.hints.length];
+        this.hints.push(hint);
+        return hint;
+    }
+
+    evaluateGuess(guessed, target = this.targetLocation) {
+        // Region/Level evaluation
+        let regionStatus = 'absent';
+        let regionArrow = '';
+        if (guessed.hint_region === target.hint_region) {
+            regionStatus = 'correct';
+        } else if (guessed.level === target.level) {
+            regionStatus = 'present';
+        } else if (this.variant.levelDirection) {
+            // Point towards the target's level in game progression order
+            const guessedLevel = DonkdleEngine.LEVELS.indexOf(guessed.level);
+            const targetLevel = DonkdleEngine.LEVELS.indexOf(target.level);
+            if (guessedLevel !== -1 && targetLevel !== -1) {
+                regionArrow = guessedLevel < targetLevel ? '↑' : '↓';
+            }
+        }
+
+        // Kong/Type evaluation - version dependent
+        let typeStatus = 'absent';
+        let typeValue = '';
+        let typeLabel = '';
+
+        if (this.version === '2') {
+            // Version 2.0: Display kong unless it's "Any", then display type
+            if (guessed.kong === "Any") {
+                // When kong is "Any", compare and display type
+                typeValue = guessed.type;
+                typeLabel = 'TYPE';
+                if (guessed.type === target.type) {
+                    typeStatus = 'correct';
+                }
+            } else {
+                // When kong is specific, compare and display kong
+                typeValue = guessed.kong;
+                typeLabel = 'KONG';
+                if (guessed.kong === target.kong) {
+                    typeStatus = 'correct';
+                }
+            }
+        } else {
+            // Version 1.0: Always compare and display kong
+            typeValue = guessed.kong;
+            typeLabel = 'KONG';
+
+            const guessedKongs = guessed.kong.split(',').map(k => k.trim());
+            const targetKongs = target.kong.split(',').map(k => k.trim());
+
+            // Check if kong lists match exactly
+            const guessedSet = new Set(guessedKongs);
+            const targetSet = new Set(targetKongs);
+
+            if (guessedSet.size === targetSet.size && [...guessedSet].every(k => targetSet.has(k))) {
+                typeStatus = 'correct';
+            }
+        }
+        // No yellow/present state - either correct or absent
+
+        // Requirements evaluation
+        let requirementStatus = 'absent';
+        let requirementArrow = '';
+        const guessedReqCount = (guessed.moves || []).length;
+        const targetReqCount = (target.moves || []).length;
+
+        if (guessedReqCount === targetReqCount) {
+            requirementStatus = 'correct';
+        } else {
+            requirementStatus = 'absent';
+            requirementArrow = guessedReqCount < targetReqCount ? '↑' : '↓';
+        }
+
+        // Moves evaluation - must match exactly for green, any overlap for yellow
+        const guessedMoves = new Set(guessed.moves || []);
+        const targetMoves = new Set(target.moves || []);
+
+        // Calculate move matches (needed for both modes)
+        const commonMoves = [...guessedMoves].filter(m => targetMoves.has(m));
+        const missingMoves = [...targetMoves].filter(m => !guessedMoves.has(m));
+        const extraMoves = [...guessedMoves].filter(m => !targetMoves.has(m));
+
+        let movesStatus = 'absent';
+        let moveFeedback = {};
+
+        // Green only if exact match (same moves, no extras, no missing) - same logic for both modes
+        if (guessedMoves.size === targetMoves.size &&
+            commonMoves.length === targetMoves.size &&
+            missingMoves.length === 0 &&
+            extraMoves.length === 0) {
+            movesStatus = 'correct';
+        } else if (commonMoves.length > 0) {
+            // Yellow if at least one move matches
+            movesStatus = 'present';
+        }
+
+        if (this.hardMode) {
+            // Hard mode: don't show individual move feedback, just the moves
+            moveFeedback = {
+                allMoves: [...guessedMoves],
+                common: [],
+                missing: [],
+                extra: [],
+                hardMode: true
+            };
+        } else {
+            // Normal mode: show detailed move feedback
+            moveFeedback = {
+                common: commonMoves,
+                missing: missingMoves,
+                extra: extraMoves,
+                hardMode: false
+            };
+        }
+
+        return {
+            region: { status: regionStatus, value: guessed.hint_region, arrow: regionArrow },
+            type: { status: typeStatus, value: typeValue, label: typeLabel },
+            requirement: {
+                status: requirementStatus,
+                value: guessedReqCount,
+                arrow: requirementArrow
+            },
+            moves: { status: movesStatus, feedback: moveFeedback }
+        };
+    }
+
+    // Saved state
+    // Saves hold location ids only. Feedback is recomputed on load, so
+    // dataset fixes show up in saved games, and the target id pins the
+    // answer so a dataset update can't change a puzzle already started.
+
+    static packGuess(guess) {
+        const saved = { id: guess.location.id };
+        if (guess.split !== undefined) saved.split = guess.split;
+        if (guess.player !== undefined) saved.player = guess.player;
+        return saved;
+    }
+
+    unpackGuesses(saved, target = this.targetLocation) {
+        // Guesses at locations no longer in the dataset are dropped
+        return (saved || [])
+            .map(entry => {
+                const location = this.findLocationById(entry.id);
+                if (!location) return null;
+                const guess = { location, feedback: this.evaluateGuess(location, target) };
+                if (entry.split !== undefined) guess.split = entry.split;
+                if (entry.player !== undefined) guess.player = entry.player;
+                return guess;
+            })
+            .filter(guess => guess !== null);
+    }
+
+    static isNewerState(state) {
+        // Saved by a newer version of the game; such saves are left alone
+        return !!state && (state.schema || 1) > DonkdleEngine.STATE_SCHEMA;
+    }
+
+    static migrateState(state) {
+        // Upgrades a saved game to STATE_SCHEMA, or returns null if it was
+        // written by a newer version of the game
+        if (DonkdleEngine.isNewerState(state)) return null;
+        let migrated = state;
+        let schema = state.schema || 1;
+        while (schema < DonkdleEngine.STATE_SCHEMA) {
+            migrated = DonkdleEngine.MIGRATIONS[schema](migrated);
+            schema = migrated.schema;
+        }
+        return migrated;
+    }
+
+    getState() {
+        return {
+            schema: DonkdleEngine.STATE_SCHEMA,
+            dataset: this.datasetVersion,
+            targetId: this.targetLocation ? this.targetLocation.id : null,
+            hardMode: this.hardMode,
+            strictMode: this.strictMode,
+            guesses: this.guesses.map(DonkdleEngine.packGuess),
+            gameOver: this.gameOver,
+            gameWon: this.gameWon,
+            hints: this.hints.length,
+            timed: this.timedMode,
+            startTime: this.startTime,
+            endTime: this.endTime
+        };
+    }
+
+    loadState(state) {
+        // Returns false if the state can't be restored: it comes from a newer
+        // version, or its pinned target is no longer in the dataset
+        const migrated = DonkdleEngine.migrateState(state || {});
+        if (!migrated) return false;
+
+        if (migrated.targetId) {
+            const target = this.findLocationById(migrated.targetId);
+            if (!target) return false;
+            this.setTarget(target);
+        }
+        if (!this.targetLocation) return false;
+
+        // A saved game keeps the difficulty, strictness and timing it was started with
+        if (typeof migrated.hardMode === 'boolean') this.setHardMode(migrated.hardMode);
+        if (typeof migrated.strictMode === 'boolean') this.setStrictMode(migrated.strictMode);
+        this.guesses = this.unpackGuesses(migrated.guesses);
+        this.gameOver = migrated.gameOver || false;
+        this.gameWon = migrated.gameWon || false;
+        this.hints = this.getHintSequence().slice(0, migrated.hints || 0);
+        this.timedMode = migrated.timed || false;
+        this.startTime = migrated.startTime !== undefined ? migrated.startTime : null;
+        this.endTime = migrated.endTime !== undefined ? migrated.endTime : null;
+        return true;
+    }
+}
+
+// Current saved-game format
+DonkdleEngine.STATE_SCHEMA = 2;
+
+// Saved-game upgrades, keyed by the schema they upgrade from
+DonkdleEngine.MIGRATIONS = {
+    // Schema 1 stored whole locations and their feedback, and no target:
+    // the answer came from the schedule when the game was loaded. A won
+    // game's last guess was the answer, so that pins its target.
+    1: state => {
+        const guesses = (state.guesses || []).filter(guess => guess && guess.location && guess.location.id);
+        const moves = guesses.length > 0 && guesses[0].feedback && guesses[0].feedback.moves;
+        return {
+            schema: 2,
+            dataset: null,
+            targetId: state.gameWon && guesses.length > 0 ? guesses[guesses.length - 1].location.id : null,
+            hardMode: moves && moves.feedback ? !!moves.feedback.hardMode : undefined,
+            guesses: guesses.map(DonkdleEngine.packGuess),
+            gameOver: state.gameOver || false,
+            gameWon: state.gameWon || false,
+            hints: Array.isArray(state.hints) ? state.hints.length : 0,
+            timed: state.timed || false,
+            startTime: state.startTime,
+            endTime: state.endTime
+        };
+    }
+};
+
+// [year, month, day] of the first scheduled daily puzzle (day 0)
+DonkdleEngine.SCHEDULE_EPOCH = [2026, 1, 1];
+
+// Each daily starts at midnight here (CST/CDT)
+DonkdleEngine.PUZZLE_TIME_ZONE = 'America/Chicago';
+// Formatter for that zone, created on first use
+DonkdleEngine.zoneFormat = null;
+
+// Challenge tokens: random bytes per token, and the padded id length
+DonkdleEngine.CHALLENGE_NONCE_BYTES = 3;
+DonkdleEngine.CHALLENGE_ID_LENGTH = 48;
+
+// URL parameter names for practice pool filters
+DonkdleEngine.FILTER_PARAMS = [
+    ['level', 'levels'],
+    ['region', 'regions'],
+    ['kong', 'kongs'],
+    ['type', 'types'],
+    ['move', 'moves']
+];
+
+// Rule differences between game versions
+DonkdleEngine.VARIANTS = {
+    '1': { levelDirection: false },
+    '2': { levelDirection: true }
+};
+
+// Known dataset vocabulary. Levels are listed in game progression order.
+DonkdleEngine.LEVELS = [
+    'DK Isles', 'Jungle Japes', 'Angry Aztec', 'Frantic Factory', 'Gloomy Galleon',
+    'Fungi Forest', 'Crystal Caves', 'Creepy Castle', 'Hideout Helm'
+];
+
+// Levels whose locations are not part of the game
+DonkdleEngine.EXCLUDED_LEVELS = ['Shops'];
+
+DonkdleEngine.KONGS = ['Donkey', 'Diddy', 'Lanky', 'Tiny', 'Chunky', 'Any'];
+
+DonkdleEngine.TYPES = [
+    'Banana', 'Blueprint', 'Medal', 'Fairy', 'RainbowCoin', 'CrateItem',
+    'BoulderItem', 'Crown', 'Key', 'Kong', 'Misc', 'Shockwave'
+];
+
+DonkdleEngine.MOVES = [
+    // Special moves
+    'blast', 'spring', 'balloon', 'sprint', 'strong', 'charge', 'twirl',
+    'orangstand', 'mini', 'hunky', 'monkeyport', 'gone', 'grab', 'punch', 'slam',
+    // Guns and upgrades
+    'coconut', 'peanut', 'grape', 'feather', 'pineapple', 'homing', 'scope',
+    // Instruments
+    'bongos', 'guitar', 'trombone', 'saxophone', 'triangle',
+    // Training and other abilities
+    'barrels', 'diving', 'oranges', 'vines', 'camera', 'shockwave', 'rocketbarrel'
+];
+
+// Hint regions with their display name and the level they belong to
+DonkdleEngine.REGIONS = {
+    // Isles
+    'Mainisles': { name: 'Main Isles', level: 'DK Isles' },
+    'Outerisles': { name: 'Outer Isles', level: 'DK Isles' },
+    'Kremisles': { name: 'Krem Isles', level: 'DK Isles' },
+    'Earlylobbies': { name: 'Early Lobbies', level: 'DK Isles' },
+    'Latelobbies': { name: 'Late Lobbies', level: 'DK Isles' },
+    // Japes
+    'Japescbs': { name: 'Japes CBs', level: 'Jungle Japes' },
+    'Hillside': { name: 'Hillside', level: 'Jungle Japes' },
+    'Lowlands': { name: 'Lowlands', level: 'Jungle Japes' },
+    'Hivetunnel': { name: 'Hive Tunnel', level: 'Jungle Japes' },
+    'Stormytunnel': { name: 'Stormy Tunnel', level: 'Jungle Japes' },
+    'Cavesandmines': { name: 'Caves and Mines', level: 'Jungle Japes' },
+    // Aztec
+    'Azteccbs': { name: 'Aztec CBs', level: 'Angry Aztec' },
+    'Aztectunnels': { name: 'Aztec Tunnels', level: 'Angry Aztec' },
+    'Oasisandtotem': { name: 'Oasis and Totem', level: 'Angry Aztec' },
+    'Tinytemple': { name: 'Tiny Temple', level: 'Angry Aztec' },
+    'Fivedoortemple': { name: 'Five Door Temple', level: 'Angry Aztec' },
+    'Llamatemple': { name: 'Llama Temple', level: 'Angry Aztec' },
+    // Factory
+    'Factorycbs': { name: 'Factory CBs', level: 'Frantic Factory' },
+    'Storage': { name: 'Storage', level: 'Frantic Factory' },
+    'Testing': { name: 'Testing', level: 'Frantic Factory' },
+    'Productionroom': { name: 'Production Room', level: 'Frantic Factory' },
+    'Researchanddevelopment': { name: 'R&D', level: 'Frantic Factory' },
+    // Galleon
+    'Galleoncbs': { name: 'Galleon CBs', level: 'Gloomy Galleon' },
+    'Galleoncaverns': { name: 'Galleon Caverns', level: 'Gloomy Galleon' },
+    'Lighthouse': { name: 'Lighthouse', level: 'Gloomy Galleon' },
+    'Shipyardoutskirts': { name: 'Shipyard Outskirts', level: 'Gloomy Galleon' },
+    'Treasureroom': { name: 'Treasure Room', level: 'Gloomy Galleon' },
+    'Fivedoorship': { name: 'Five Door Ship', level: 'Gloomy Galleon' },
+    // Forest
+    'Forestcbs': { name: 'Forest CBs', level: 'Fungi Forest' },
+    'Forestcenterandbeanstalk': { name: 'Center & Beanstalk', level: 'Fungi Forest' },
+    'Mushroomexterior': { name: 'Mushroom Exterior', level: 'Fungi Forest' },
+    'Mushroominterior': { name: 'Mushroom Interior', level: 'Fungi Forest' },
+    'Mills': { name: 'Mills', level: 'Fungi Forest' },
+    'Owltree': { name: 'Owl Tree', level: 'Fungi Forest' },
+    // Caves
+    'Cavescbs': { name: 'Caves CBs', level: 'Crystal Caves' },
+    'Maincaves': { name: 'Main Caves', level: 'Crystal Caves' },
+    'Igloo': { name: 'Igloo', level: 'Crystal Caves' },
+    'Cabins': { name: 'Cabins', level: 'Crystal Caves' },
+    // Castle
+    'Castlecbs': { name: 'Castle CBs', level: 'Creepy Castle' },
+    'Castlerooms': { name: 'Castle Rooms', level: 'Creepy Castle' },
+    'Castlesurroundings': { name: 'Castle Surroundings', level: 'Creepy Castle' },
+    'Castleunderground': { name: 'Castle Underground', level: 'Creepy Castle' },
+    // Helm & Jetpac
+    'Helm': { name: 'Helm', level: 'Hideout Helm' },
+    'Jetpac': { name: 'Jetpac', level: 'Shops' }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DonkdleEngine;
+}
@@ -0,0 +1,182 @@
+// Donkdle Friends - ranks pasted share texts per day and per season
+class DonkdleFriends {
+    constructor() {
+        this.i18n = new DonkdleI18n();
+        this.board = new DonkdleLeaderboard(localStorage);
+        this.init();
+    }
+
+    init() {
+        this.i18n.translatePage();
+        this.i18n.setupPicker(document.getElementById('languagePicker'), () => {
+            this.i18n.translatePage();
+            this.render();
+        });
+
+        document.getElementById('addResultsBtn').addEventListener('click', () => this.addResults());
+        document.getElementById('clearBoardBtn').addEventListener('click', () => {
+            if (confirm(this.i18n.t('friends.confirmClear'))) {
+                this.board.clear();
+                this.render();
+            }
+        });
+        document.querySelectorAll('input[name="friendsVersion"], input[name="friendsDifficulty"]').forEach(input => {
+            input.addEventListener('change', () => this.render());
+        });
+        document.getElementById('daySelect').addEventListener('change', () => this.renderDay());
+        document.getElementById('seasonSelect').addEventListener('change', () => this.renderSeason());
+        this.render();
+    }
+
+    getVariant() {
+        const version = document.querySelector('input[name="friendsVersion"]:checked').value;
+        const difficulty = document.querySelector('input[name="friendsDifficulty"]:checked').value;
+        return `v${version}_${difficulty}`;
+    }
+
+    addResults() {
+        const name = document.getElementById('friendName').value.trim();
+        const paste = document.getElementById('friendPaste');
+        if (!name) {
+            this.showMessage(this.i18n.t('friends.needName'), 'error');
+            return;
+        }
+
+        const { results, errors } = DonkdleShare.parse(paste.value);
+        const report = this.board.add(name, results);
+        document.getElementById('pasteReport').innerHTML = errors.length === 0 ? '' : `
+            <h3>${this.i18n.t('friends.rejected', { count: errors.length })}</h3>
+            <ul>${errors.map(error => `<li>${this.escape(error.message)}</li>`).join('')}</ul>
+        `;
+        if (results.length > 0) {
+            paste.value = '';
+            this.showMessage(this.i18n.t('friends.added', { count: report.added + report.updated, name }), 'success');
+
+            // Show the newest pasted result
+            const latest = results.reduce((a, b) => (b.date > a.date ? b : a));
+            document.querySelector(`input[name="friendsVersion"][value="${latest.version}"]`).checked = true;
+            document.querySelector(`input[name="friendsDifficulty"][value="${latest.hardMode ? 'hard' : 'normal'}"]`).checked = true;
+            this.render(latest.date);
+        }
+    }
+
+    render(date) {
+        const variant = this.getVariant();
+        const daySelect = document.getElementById('daySelect');
+        const dates = this.board.getDates(variant);
+        const selectedDay = date || daySelect.value;
+        daySelect.innerHTML = dates.map(day => `
+            <option value="${day}">${this.i18n.formatDate(DonkdleEngine.parseDateParam(day), { weekday: 'short', year: 'numeric', month: 'short', day: 'numeric' })}</option>
+        `).join('');
+        daySelect.value = dates.includes(selectedDay) ? selectedDay : (dates[0] || '');
+
+        const seasonSelect = document.getElementById('seasonSelect');
+        const seasons = this.board.getSeasons(variant);
+        const selectedSeason = date ? date.slice(0, 7) : seasonSelect.value;
+        seasonSelect.innerHTML = seasons.map(season => `
+            <option value="${season}">${this.i18n.formatDate(DonkdleEngine.parseDateParam(`${season}-01`), { year: 'numeric', month: 'long' })}</option>
+        `).join('');
+        seasonSelect.value = seasons.includes(selectedSeason) ? selectedSeason : (seasons[0] || '');
+
+        daySelect.hidden = dates.length === 0;
+        seasonSelect.hidden = seasons.length === 0;
+        this.renderDay();
+        this.renderSeason();
+    }
+
+    renderDay() {
+        const container = document.getElementById('dayTable');
+        const date = document.getElementById('daySelect').value;
+        if (!date) {
+            container.innerHTML = `<p class="practice-summary">${this.i18n.t('friends.none')}</p>`;
+            return;
+        }
+
+        const squares = { correct: '🟩', present: '🟨', absent: '⬛' };
+        const max = this.getVariant().endsWith('hard') ? '6' : '∞';
+        container.innerHTML = `
+            <table class="analysis-table friends-table">
+                <tr>
+                    <th>#</th>
+                    <th class="analysis-name">${this.i18n.t('friends.playerColumn')}</th>
+                    <th>${this.i18n.t('friends.resultColumn')}</th>
+                    <th>${this.i18n.t('friends.hintsColumn')}</th>
+                    <th>${this.i18n.t('friends.gridColumn')}</th>
+                </tr>
+                ${this.board.getDay(date, this.getVariant()).map(entry => `
+                    <tr>
+                        <td>${entry.rank === null ? '-' : entry.won && entry.rank === 1 ? '🥇' : entry.rank}</td>
+                        <td class="analysis-name">${this.escape(entry.player)}${entry.archive ? ` <span class="friends-flag">${this.i18n.t('friends.archive')}</span>` : ''}${entry.strictMode ? ` <span class="friends-flag">${this.i18n.t('friends.strict')}</span>` : ''}</td>
+                        <td>${entry.won ? entry.guesses : 'X'}/${max}</td>
+                        <td>${entry.hints}</td>
+                        <td class="friends-grid">${entry.grid.map(row => row.statuses.map(status => squares[status]).join('')).join('<br>')}</td>
+                    </tr>
+                `).join('')}
+            </table>
+        `;
+    }
+
+    renderSeason() {
+        const container = document.getElementById('seasonTable');
+        const season = document.getElementById('seasonSelect').value;
+        if (!season) {
+            container.innerHTML = '';
+            return;
+        }
+
+        container.innerHTML = `
+            <table class="analysis-table friends-table">
+                <tr>
+                    <th class="analysis-name">${this.i18n.t('friends.playerColumn')}</th>
+                    <th>${this.i18n.t('friends.playedColumn')}</th>
+                    <th>${this.i18n.t('friends.wonColumn')}</th>
+                    <th>${this.i18n.t('friends.averageColumn')}</th>
+                    <th>🥇</th>
+                    <th></th>
+                </tr>
+                ${this.board.getSeason(season, this.getVariant()).map(row => `
+                    <tr>
+                        <td class="analysis-name">${this.escape(row.player)}</td>
+                        <td>${row.played}</td>
+                        <td>${row.won}</td>
+                        <td>${row.average === null ? '-' : row.average.toFixed(2)}</td>
+                        <td>${row.firsts}</td>
+                        <td><button type="button" class="icon-btn" data-remove="${this.escape(row.player)}" title="${this.i18n.t('friends.remove')}">🗑️</button></td>
+                    </tr>
+                `).join('')}
+            </table>
+        `;
+
+        container.querySelectorAll('[data-remove]').forEach(button => {
+            button.addEventListener('click', () => {
+                if (confirm(this.i18n.t('friends.confirmRemove', { name: button.dataset.remove }))) {
+                    this.board.removePlayer(button.dataset.remove);
+                    this.render();
+                }
+            });
+        });
+    }
+
+    escape(text) {
+        // Player names and pasted text come from other people, so don't render them as markup
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    showMessage(text, type = 'info') {
+        const message = document.getElementById('message');
+        message.textContent = text;
+        message.className = `message ${type}`;
+
+        setTimeout(() => {
+            message.textContent = '';
+            message.className = 'message';
+        }, 3000);
+    }
+}
+
+// Initialize friends board when page loads
+document.addEventListener('DOMContentLoaded', () => {
+    new DonkdleFriends();
+});
@@ -1,20 +1,50 @@
 // Donkdle Game Logic
 class DonkdleGame {
     constructor() {
-        this.locations = [];
-        this.targetLocation = null;
-        this.guesses = [];
-        this.gameOver = false;
-        this.gameWon = false;
+        this.i18n = new DonkdleI18n();
         this.mode = this.getGameMode();
-        this.version = this.getGameVersion();
-        this.hardMode = this.getHardMode();
-        this.maxGuesses = this.hardMode ? 6 : Infinity;
+        // Saved games and stats; alternate datasets swap in their own namespace
+        this.storage = localStorage;
+        this.stats = new DonkdleStats(this.storage);
+        this.puzzleDate = this.getPuzzleDate();
+        this.poolFilters = DonkdleEngine.filtersFromParams(new URLSearchParams(window.location.search));
+        this.pool = [];
+        this.dataset = null;
+        // Rules and game state live in the DOM-free engine (engine.js)
+        this.engine = new DonkdleEngine([], {
+            version: this.getGameVersion(),
+            hardMode: this.getHardMode(),
+            strictMode: this.getStrictMode(),
+            // Marathon and versus clocks would reset with every target, so they aren't timed
+            timedMode: this.mode !== 'marathon' && this.mode !== 'versus' && this.getTimedMode()
+        });
+        this.marathon = this.mode === 'marathon' ? new DonkdleMarathon(this.engine) : null;
+        this.versus = this.mode === 'versus' ? new DonkdleVersus(this.engine) : null;
+        this.marathonPlace = 0;
+        this.timerInterval = null;
+        this.nextPuzzleTime = DonkdleEngine.getNextPuzzleTime();
+        this.colorblindMode = this.getColorblindMode();
+        this.lastFocus = null;
+        this.keepSavedGame = false;
         
         this.init();
     }
 
+    get locations() { return this.engine.locations; }
+    get targetLocation() { return this.engine.targetLocation; }
+    get guesses() { return this.engine.guesses; }
+    get gameOver() { return this.engine.gameOver; }
+    get gameWon() { return this.engine.gameWon; }
+    get version() { return this.engine.version; }
+    get hardMode() { return this.engine.hardMode; }
+    get maxGuesses() { return this.engine.maxGuesses; }
+    get strictMode() { return this.engine.strictMode; }
+    get timedMode() { return this.engine.timedMode; }
+
     async init() {
+        document.body.classList.toggle('colorblind', this.colorblindMode);
+        this.i18n.translatePage();
+        this.i18n.setupPicker(document.getElementById('languagePicker'), () => this.applyLocale());
         await this.loadLocations();
         this.loadGameState();
         this.setupEventListeners();
@@ -27,6 +57,64 @@ class DonkdleGame {
         
         // Set hard mode checkbox state
         document.getElementById('hardModeToggle').checked = this.hardMode;
+        document.getElementById('strictModeToggle').checked = this.strictMode;
+        document.getElementById('timedModeToggle').checked = this.timedMode;
+        document.getElementById('colorblindToggle').checked = this.colorblindMode;
+        this.updateTimer();
+
+        this.renderPuzzleInfo();
+        if (this.marathon || this.versus) {
+            document.getElementById('timedModeToggle').parentElement.style.display = 'none';
+        }
+        if (this.marathon) {
+            // A marathon spans many boards, so it only shares as text
+            document.getElementById('imageShare').style.display = 'none';
+        }
+
+        if (this.versus && !this.targetLocation) {
+            this.showVersusSetup();
+        }
+
+        this.updateCountdown();
+        setInterval(() => this.updateCountdown(), 1000);
+    }
+
+    t(key, params) {
+        return this.i18n.t(key, params);
+    }
+
+    applyLocale() {
+        // Re-render everything that was built from catalog strings
+        this.i18n.translatePage();
+        this.renderPuzzleInfo();
+        this.renderBoard();
+        // Region names are searchable in the current language
+        if (this.locations.length > 0) this.buildSearchIndex();
+        if (document.getElementById('helpModal').classList.contains('active')) {
+            this.showModal('helpModal');
+        }
+        if (document.getElementById('gameOverModal').classList.contains('active')) {
+            this.showGameOver();
+        }
+        if (document.getElementById('statsModal').classList.contains('active')) {
+            this.showStatsModal();
+        }
+    }
+
+    renderPuzzleInfo() {
+        const puzzleInfo = document.getElementById('puzzleInfo');
+        if (this.mode === 'archive') {
+            const dateText = this.i18n.formatDate(this.puzzleDate, { year: 'numeric', month: 'long', day: 'numeric' });
+            puzzleInfo.textContent = this.t('info.archive', { date: dateText });
+        } else if (this.mode === 'challenge') {
+            puzzleInfo.textContent = this.t('info.challenge');
+        } else if (this.isDrill()) {
+            puzzleInfo.textContent = this.t('info.drill', { filters: this.describePoolFilters(), count: this.pool.length });
+        }
+        document.getElementById('datasetInfo').textContent = this.dataset
+            ? this.t('info.dataset', { name: this.dataset.name, count: this.locations.length })
+            : '';
+        // Marathon and versus keep it up to date as they render
     }
 
     getGameMode() {
@@ -39,96 +127,134 @@ class DonkdleGame {
         return params.get('version') || '1';
     }
 
+    getPuzzleDate() {
+        // Archive mode plays the daily puzzle of the date given in the URL
+        const today = DonkdleEngine.getPuzzleDay();
+        if (this.mode !== 'archive') return today;
+
+        const params = new URLSearchParams(window.location.search);
+        const date = DonkdleEngine.parseDateParam(params.get('date'));
+        const dayNumber = date ? DonkdleEngine.getDayNumber(date) : -1;
+        if (dayNumber < 0 || dayNumber > DonkdleEngine.getDayNumber(today)) {
+            console.warn('Invalid archive date, playing today\'s puzzle instead');
+            this.mode = 'daily';
+            return today;
+        }
+        return date;
+    }
+
+    getChallengeToken() {
+        const params = new URLSearchParams(window.location.search);
+        return params.get('c') || '';
+    }
+
+    isDrill() {
+        // A random game with a filtered practice pool
+        return this.mode === 'random' && DonkdleEngine.hasFilters(this.poolFilters);
+    }
+
+    describePoolFilters() {
+        const f = this.poolFilters;
+        const parts = [];
+        if (f.levels.length > 0) parts.push(f.levels.join(' / '));
+        if (f.regions.length > 0) parts.push(f.regions.map(r => this.formatRegionName(r)).join(' / '));
+        if (f.kongs.length > 0) parts.push(f.kongs.join(' / '));
+        if (f.types.length > 0) parts.push(f.types.join(' / '));
+        if (f.moves.length > 0) parts.push(this.t('info.drillMoves', { moves: f.moves.join(' + ') }));
+        return parts.join(' • ');
+    }
+
     getHardMode() {
         const saved = localStorage.getItem('donkdle_hardMode');
         return saved === 'true';
     }
 
     setHardMode(enabled) {
-        this.hardMode = enabled;
-        this.maxGuesses = enabled ? 6 : Infinity;
+        this.engine.setHardMode(enabled);
+        if (this.marathon) {
+            // The marathon budget still sets the guess limit
+            this.engine.maxGuesses = this.marathon.guessesLeft;
+        } else if (this.versus) {
+            // So does the versus per-player limit
+            this.engine.maxGuesses = this.versus.guessLimit * this.versus.players.length;
+        }
         localStorage.setItem('donkdle_hardMode', enabled.toString());
     }
 
-    getCSTDate() {
-        // Get the current time in Chicago (handles CST/CDT automatically)
-        const chicagoTimeStr = new Date().toLocaleString("en-US", { timeZone: "America/Chicago" });
-        return new Date(chicagoTimeStr);
+    isRunInProgress() {
+        // A marathon run counts as started once anything was guessed in it
+        return this.marathon !== null && this.marathon.hasStarted() && !this.marathon.over;
+    }
+
+    getStrictMode() {
+        const saved = localStorage.getItem('donkdle_strictMode');
+        return saved === 'true';
+    }
+
+    setStrictMode(enabled) {
+        this.engine.setStrictMode(enabled);
+        localStorage.setItem('donkdle_strictMode', enabled.toString());
+    }
+
+    getTimedMode() {
+        const saved = localStorage.getItem('donkdle_timedMode');
+        return saved === 'true';
+    }
+
+    setTimedMode(enabled) {
+        this.engine.setTimedMode(enabled);
+        localStorage.setItem('donkdle_timedMode', enabled.toString());
+    }
+
+    getColorblindMode() {
+        const saved = localStorage.getItem('donkdle_colorblindMode');
+        return saved === 'true';
+    }
+
+    setColorblindMode(enabled) {
+        this.colorblindMode = enabled;
+        document.body.classList.toggle('colorblind', enabled);
+        localStorage.setItem('donkdle_colorblindMode', enabled.toString());
     }
 
     formatRegionName(regionName) {
-        // Format region names to be more readable
-        const regionMap = {
-            // Isles
-            'Mainisles': 'Main Isles',
-            'Outerisles': 'Outer Isles',
-            'Kremisles': 'Krem Isles',
-            'Earlylobbies': 'Early Lobbies',
-            'Latelobbies': 'Late Lobbies',
-            // Japes
-            'Japescbs': 'Japes CBs',
-            'Hillside': 'Hillside',
-            'Lowlands': 'Lowlands',
-            'Hivetunnel': 'Hive Tunnel',
-            'Stormytunnel': 'Stormy Tunnel',
-            'Cavesandmines': 'Caves and Mines',
-            // Aztec
-            'Azteccbs': 'Aztec CBs',
-            'Aztectunnels': 'Aztec Tunnels',
-            'Oasisandtotem': 'Oasis and Totem',
-            'Tinytemple': 'Tiny Temple',
-            'Fivedoortemple': 'Five Door Temple',
-            'Fivedoorship': 'Five Door Ship',
-            'Llamatemple': 'Llama Temple',
-            // Factory
-            'Factorycbs': 'Factory CBs',
-            'Storage': 'Storage',
-            'Testing': 'Testing',
-            'Productionroom': 'Production Room',
-            'Researchanddevelopment': 'R&D',
-            // Galleon
-            'Galleoncbs': 'Galleon CBs',
-            'Galleoncaverns': 'Galleon Caverns',
-            'Lighthouse': 'Lighthouse',
-            'Shipyardoutskirts': 'Shipyard Outskirts',
-            'Treasureroom': 'Treasure Room',
-            // Forest
-            'Forestcbs': 'Forest CBs',
-            'Forestcenterandbeanstalk': 'Center & Beanstalk',
-            'Mushroomexterior': 'Mushroom Exterior',
-            'Mushroominterior': 'Mushroom Interior',
-            'Mills': 'Mills',
-            'Owltree': 'Owl Tree',
-            // Caves
-            'Cavescbs': 'Caves CBs',
-            'Maincaves': 'Main Caves',
-            'Igloo': 'Igloo',
-            'Cabins': 'Cabins',
-            // Castle
-            'Castlecbs': 'Castle CBs',
-            'Castlerooms': 'Castle Rooms',
-            'Castlesurroundings': 'Castle Surroundings',
-            'Castleunderground': 'Castle Underground',
-            // Helm & Jetpac
-            'Helm': 'Helm',
-            'Jetpac': 'Jetpac'
-        };
-        
-        return regionMap[regionName] || regionName;
+        // Format region names to be more readable, in the current language
+        return this.i18n.regionName(regionName);
+    }
+
+    escape(text) {
+        // Custom datasets are shared files, so don't render their text as markup
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    buildSearchIndex() {
+        this.searchIndex = new DonkdleSearch(this.locations, id => this.formatRegionName(id));
     }
 
     async loadLocations() {
+        const datasetParam = new URLSearchParams(window.location.search).get('dataset');
+        if (datasetParam) {
+            try {
+                this.dataset = await DonkdleDataset.load(datasetParam, localStorage, window.location.href);
+                // Never mix its saved games and stats with the official daily's
+                this.storage = DonkdleDataset.namespace(localStorage, this.dataset.id);
+                this.stats = new DonkdleStats(this.storage);
+            } catch (error) {
+                console.error('Error loading dataset:', error);
+                this.showMessage(this.t('message.datasetError', { error: error.message }), 'error');
+            }
+        }
+
         try {
-            const response = await fetch('locations_data.json');
-            this.locations = await response.json();
-            
-            // Filter out locations with "Unknown" hint region and other edge cases
-            this.locations = this.locations.filter(loc => 
-                loc.hint_region && 
-                loc.hint_region !== "Unknown" &&
-                loc.name && 
-                loc.name.trim() !== ""
-            );
+            if (this.dataset) {
+                this.engine.setLocations(this.dataset.locations);
+            } else {
+                const response = await fetch('locations_data.json');
+                this.engine.setLocations(await response.json());
+            }
+            this.buildSearchIndex();
             
             console.log(`Loaded ${this.locations.length} locations`);
             
@@ -136,39 +262,56 @@ class DonkdleGame {
             this.selectDailyLocation();
         } catch (error) {
             console.error('Error loading locations:', error);
-            this.showMessage('Error loading game data. Please refresh the page.', 'error');
+            this.showMessage(this.t('message.loadError'), 'error');
         }
     }
 
     selectDailyLocation() {
-        if (this.mode === 'random') {
-            // Random mode: select a random location each time
-            const index = Math.floor(Math.random() * this.locations.length);
-            this.targetLocation = this.locations[index];
-        } else {
-            // Daily mode: use today's date in CST as seed for consistent daily puzzle
-            const today = this.getCSTDate();
-            const versionOffset = this.version === '2' ? 100000 : 0;
-            const seed = today.getFullYear() * 10000 + (today.getMonth() + 1) * 100 + today.getDate() + versionOffset;
-            
-            // Simple seeded random
-            const index = this.seededRandom(seed) % this.locations.length;
-            this.targetLocation = this.locations[index];
+        if (this.mode === 'challenge') {
+            // Challenge mode: the location picked by whoever sent the link
+            const locationId = DonkdleEngine.decodeChallenge(this.getChallengeToken());
+            const location = locationId && this.engine.findLocationById(locationId);
+            if (location) {
+                this.engine.setTarget(location);
+                return;
+            }
+            this.showMessage(this.t('message.invalidChallenge'), 'error');
+            this.mode = 'random';
         }
-    }
 
-    seededRandom(seed) {
-        const x = Math.sin(seed++) * 10000;
-        return Math.floor((x - Math.floor(x)) * this.locations.length);
+        if (this.mode === 'random' || this.mode === 'marathon' || this.mode === 'versus') {
+            // Random mode: select a random location each time, from the practice pool if filtered
+            this.pool = DonkdleEngine.filterPool(this.locations, this.poolFilters);
+            if (this.pool.length === 0) {
+                this.showMessage(this.t('message.emptyDrill'), 'error');
+                this.poolFilters = DonkdleEngine.filtersFromParams(new URLSearchParams());
+                this.pool = this.locations;
+            }
+            if (this.marathon) {
+                this.marathon.start(Math.random, this.pool);
+            } else if (this.versus) {
+                // Versus rounds start once the players are set up
+                return;
+            } else {
+                this.engine.selectRandomLocation(Math.random, this.pool);
+            }
+        } else {
+            // Daily and archive mode: the scheduled puzzle for the puzzle date
+            this.engine.selectDailyLocation(this.puzzleDate);
+        }
     }
 
     setupEventListeners() {
         const input = document.getElementById('locationInput');
         const guessBtn = document.getElementById('guessBtn');
+        const hintBtn = document.getElementById('hintBtn');
         const helpBtn = document.getElementById('helpBtn');
         const statsBtn = document.getElementById('statsBtn');
+        const challengeBtn = document.getElementById('challengeBtn');
         const closeHelp = document.getElementById('closeHelp');
         const closeStats = document.getElementById('closeStats');
+        const closeChallenge = document.getElementById('closeChallenge');
+        const createChallengeBtn = document.getElementById('createChallengeBtn');
         const shareBtn = document.getElementById('shareBtn');
         const shareResultsBtn = document.getElementById('shareResultsBtn');
         const viewStatsBtn = document.getElementById('viewStatsBtn');
@@ -176,6 +319,9 @@ class DonkdleGame {
         // Input and autocomplete
         input.addEventListener('input', (e) => this.handleInput(e.target.value));
         input.addEventListener('keydown', (e) => {
+            // Timed mode: the clock starts on the first keystroke
+            this.startClock();
+
             if (e.key === 'Enter') {
                 e.preventDefault();
                 const autocompleteList = document.getElementById('autocompleteList');
@@ -184,7 +330,7 @@ class DonkdleGame {
                 // If there's a selected item in autocomplete, use it
                 if (selectedItem && autocompleteList.classList.contains('active')) {
                     input.value = selectedItem.dataset.name;
-                    autocompleteList.classList.remove('active');
+                    this.closeAutocomplete();
                 }
                 
                 this.makeGuess();
@@ -192,20 +338,38 @@ class DonkdleGame {
                 this.navigateAutocomplete(e);
             } else if (e.key === 'Escape') {
                 // Close autocomplete on Escape
-                document.getElementById('autocompleteList').classList.remove('active');
+                this.closeAutocomplete();
             }
         });
 
         // Guess button
         guessBtn.addEventListener('click', () => this.makeGuess());
 
+        // Hint button
+        hintBtn.addEventListener('click', () => this.takeHint());
+
         // Modal buttons
         helpBtn.addEventListener('click', () => this.showModal('helpModal'));
         statsBtn.addEventListener('click', () => this.showStatsModal());
+        challengeBtn.addEventListener('click', () => this.showChallengeModal());
         closeHelp.addEventListener('click', () => this.hideModal('helpModal'));
         closeStats.addEventListener('click', () => this.hideModal('statsModal'));
+        document.getElementById('statsVariant').addEventListener('change', () => this.renderStats());
+
+        // Backup export/import
+        const importFile = document.getElementById('importFile');
+        document.getElementById('exportBtn').addEventListener('click', () => this.exportProgress());
+        document.getElementById('importBtn').addEventListener('click', () => importFile.click());
+        importFile.addEventListener('change', (e) => {
+            if (e.target.files.length > 0) this.importProgress(e.target.files[0]);
+            e.target.value = '';
+        });
+        closeChallenge.addEventListener('click', () => this.hideModal('challengeModal'));
+        document.getElementById('startMatchBtn').addEventListener('click', () => this.startMatch());
+        createChallengeBtn.addEventListener('click', () => this.createChallenge());
         shareBtn.addEventListener('click', () => this.shareResults());
         shareResultsBtn.addEventListener('click', () => this.shareResults());
+        document.getElementById('shareImageBtn').addEventListener('click', () => this.shareImage());
         viewStatsBtn.addEventListener('click', () => {
             this.hideModal('gameOverModal');
             this.showStatsModal();
@@ -214,22 +378,141 @@ class DonkdleGame {
         // Hard mode toggle
         const hardModeToggle = document.getElementById('hardModeToggle');
         hardModeToggle.addEventListener('change', (e) => {
-            if (this.guesses.length > 0) {
+            if (this.guesses.length > 0 || this.engine.hints.length > 0 || this.isRunInProgress()) {
                 // Don't allow changing mid-game
                 e.target.checked = this.hardMode;
-                this.showMessage('Cannot change difficulty mid-game!', 'error');
+                this.showMessage(this.t('message.cannotChangeDifficulty'), 'error');
                 return;
             }
             this.setHardMode(e.target.checked);
-            this.showMessage(`Hard mode ${e.target.checked ? 'enabled' : 'disabled'}!`, 'info');
+            this.renderHints();
+            this.showMessage(this.t(e.target.checked ? 'message.hardModeEnabled' : 'message.hardModeDisabled'), 'info');
+        });
+
+        // Strict mode toggle
+        const strictModeToggle = document.getElementById('strictModeToggle');
+        strictModeToggle.addEventListener('change', (e) => {
+            if (this.guesses.length > 0 || this.isRunInProgress()) {
+                // Don't allow changing mid-game
+                e.target.checked = this.strictMode;
+                this.showMessage(this.t('message.cannotChangeStrict'), 'error');
+                return;
+            }
+            this.setStrictMode(e.target.checked);
+            this.showMessage(this.t(e.target.checked ? 'message.strictModeEnabled' : 'message.strictModeDisabled'), 'info');
+        });
+
+        // Timed mode toggle
+        const timedModeToggle = document.getElementById('timedModeToggle');
+        timedModeToggle.addEventListener('change', (e) => {
+            if (this.guesses.length > 0 || this.engine.startTime !== null) {
+                // Don't allow changing mid-game
+                e.target.checked = this.timedMode;
+                this.showMessage(this.t('message.cannotChangeTimed'), 'error');
+                return;
+            }
+            this.setTimedMode(e.target.checked);
+            this.updateTimer();
+            this.showMessage(this.t(e.target.checked ? 'message.timedModeEnabled' : 'message.timedModeDisabled'), 'info');
+        });
+
+        // Colorblind palette only changes how feedback looks, so it can change any time
+        document.getElementById('colorblindToggle').addEventListener('change', (e) => {
+            this.setColorblindMode(e.target.checked);
+            this.showMessage(this.t(e.target.checked ? 'message.colorblindEnabled' : 'message.colorblindDisabled'), 'info');
         });
 
         // Close modals on outside click
         window.addEventListener('click', (e) => {
-            if (e.target.classList.contains('modal')) {
-                e.target.classList.remove('active');
+            if (e.target.classList.contains('modal') && this.canDismissModal(e.target.id)) {
+                this.hideModal(e.target.id);
             }
         });
+
+        // Keep keyboard focus inside an open modal; Escape closes it
+        document.addEventListener('keydown', (e) => this.handleModalKeydown(e));
+    }
+
+    startClock() {
+        if (!this.timedMode || this.engine.startTime !== null || this.gameOver) return;
+        this.engine.startClock();
+        this.saveGameState();
+        this.updateTimer();
+    }
+
+    updateCountdown() {
+        // Ticks every second; moves an open daily on to the new puzzle at midnight
+        const now = new Date();
+        if (now >= this.nextPuzzleTime) {
+            this.nextPuzzleTime = DonkdleEngine.getNextPuzzleTime(now);
+            if (this.mode === 'daily' && this.locations.length > 0) {
+                this.startNewDaily();
+            }
+        }
+
+        const left = Math.floor((this.nextPuzzleTime - now) / 1000);
+        const time = [Math.floor(left / 3600), Math.floor(left / 60) % 60, left % 60]
+            .map(part => String(part).padStart(2, '0'))
+            .join(':');
+        document.querySelectorAll('.next-puzzle').forEach(countdown => {
+            countdown.textContent = this.t('stats.nextPuzzle', { time });
+        });
+    }
+
+    startNewDaily() {
+        // Yesterday's game stays saved under its own day and can be finished from the archive
+        this.puzzleDate = DonkdleEngine.getPuzzleDay();
+        this.engine.reset();
+        this.engine.selectDailyLocation(this.puzzleDate);
+        // A new day starts with the chosen settings, not those of the game just
+        // played; a save for the day (from another tab) restores its own
+        this.engine.setHardMode(this.getHardMode());
+        this.engine.setStrictMode(this.getStrictMode());
+        this.engine.setTimedMode(this.getTimedMode());
+        this.loadGameState();
+
+        document.getElementById('hardModeToggle').checked = this.hardMode;
+        document.getElementById('strictModeToggle').checked = this.strictMode;
+        document.getElementById('timedModeToggle').checked = this.timedMode;
+        this.hideModal('gameOverModal');
+        this.closeAutocomplete();
+        document.getElementById('locationInput').disabled = false;
+        document.getElementById('guessBtn').disabled = false;
+        this.updateTimer();
+        this.renderBoard();
+        if (document.getElementById('statsModal').classList.contains('active')) {
+            this.showStatsModal();
+        }
+
+        if (this.gameOver) {
+            // Already played on another tab or device
+            this.showGameOver();
+        } else {
+            this.showMessage(this.t('message.newDaily'), 'info');
+        }
+    }
+
+    formatTime(ms) {
+        // m:ss.t
+        const tenths = Math.floor(ms / 100);
+        const minutes = Math.floor(tenths / 600);
+        const seconds = Math.floor((tenths % 600) / 10);
+        return `${minutes}:${String(seconds).padStart(2, '0')}.${tenths % 10}`;
+    }
+
+    updateTimer() {
+        const timer = document.getElementById('timer');
+        timer.style.display = this.timedMode ? '' : 'none';
+        timer.textContent = `⏱️ ${this.formatTime(this.engine.getElapsed())}`;
+
+        // Tick while the clock is running
+        const running = this.timedMode && this.engine.startTime !== null && this.engine.endTime === null;
+        if (running && !this.timerInterval) {
+            this.timerInterval = setInterval(() => this.updateTimer(), 100);
+        } else if (!running && this.timerInterval) {
+            clearInterval(this.timerInterval);
+            this.timerInterval = null;
+        }
     }
 
     handleInput(value) {
@@ -237,68 +520,26 @@ class DonkdleGame {
 
         const autocompleteList = document.getElementById('autocompleteList');
         
-        if (!value || value.length < 2) {
-            autocompleteList.classList.remove('active');
+        // A single letter is enough to start suggesting
+        if (!value || !value.trim()) {
+            this.closeAutocomplete();
             return;
         }
 
-        const searchTerms = value.toLowerCase().split(' ').filter(t => t.length > 0);
-        
-        // Filter and rank locations with fuzzy matching
-        const scored = this.locations
-            .map(loc => {
-                const nameLower = loc.name.toLowerCase();
-                const nameWords = nameLower.split(' ');
-                
-                let score = 0;
-                let matchedTerms = 0;
-                
-                // Check if all search terms appear somewhere in the name
-                for (const term of searchTerms) {
-                    let termMatched = false;
-                    
-                    // Exact word match
-                    if (nameWords.includes(term)) {
-                        score += 50;
-                        termMatched = true;
-                    }
-                    // Word starts with term
-                    else if (nameWords.some(word => word.startsWith(term))) {
-                        score += 30;
-                        termMatched = true;
-                    }
-                    // Term appears anywhere in name
-                    else if (nameLower.includes(term)) {
-                        score += 10;
-                        termMatched = true;
-                    }
-                    
-                    if (termMatched) matchedTerms++;
-                }
-                
-                // Must match all search terms
-                if (matchedTerms !== searchTerms.length) return null;
-                
-                // Bonus for name starting with first search term
-                if (nameLower.startsWith(searchTerms[0])) score += 100;
-                
-                // Bonus for shorter names (more specific)
-                score += (100 - nameLower.length) / 10;
-                
-                return { location: loc, score };
-            })
-            .filter(item => item !== null)
-            .sort((a, b) => b.score - a.score)
-            .slice(0, 15);
+        // Typo-tolerant ranking over names, levels, regions, kongs, types and moves
+        // Drills can restrict the suggestions to the practice pool
+        const scored = this.searchIndex.search(value, {
+            pool: this.isDrill() && this.poolFilters.restrictGuesses ? this.pool : null
+        });
 
         if (scored.length === 0) {
-            autocompleteList.classList.remove('active');
+            this.closeAutocomplete();
             return;
         }
 
         // Render autocomplete list
         autocompleteList.innerHTML = scored
-            .map(({ location: loc }, index) => {
+            .map(({ location: loc, reasons }, index) => {
                 const highlightedName = this.highlightMatch(loc.name, value);
                 const reqCount = (loc.moves || []).length;
                 
@@ -319,7 +560,7 @@ class DonkdleGame {
                     
                     if (this.hardMode) {
                         // Hard mode: just show the moves without highlighting
-                        movesHTML = locMoves.join(', ');
+                        movesHTML = this.escape(locMoves.join(', '));
                     } else {
                         // Normal mode: show individual move matches
                         const targetMoves = new Set(this.targetLocation.moves || []);
@@ -328,28 +569,29 @@ class DonkdleGame {
                             movesHTML = locMoves.map(move => {
                                 const isCorrect = targetMoves.has(move);
                                 const className = isCorrect ? 'move-match' : 'move-nomatch';
-                                return `<span class="${className}">${move}</span>`;
+                                return `<span class="${className}">${this.escape(move)}</span>`;
                             }).join(', ');
                         }
                     }
                 } else {
                     // Not guessed yet, show plain moves
-                    movesHTML = (loc.moves || []).join(', ');
+                    movesHTML = this.escape((loc.moves || []).join(', '));
                 }
                 
                 return `
-                    <div class="autocomplete-item ${previousGuess ? 'already-guessed' : ''}" data-index="${index}" data-name="${loc.name}">
+                    <div class="autocomplete-item ${previousGuess ? 'already-guessed' : ''}" id="autocomplete-option-${index}" role="option" aria-selected="false" data-index="${index}" data-name="${this.escape(loc.name)}">
                         <div class="autocomplete-main">
                             <span class="autocomplete-name">${highlightedName}</span>
                         </div>
                         <div class="autocomplete-details">
-                            <span class="autocomplete-region ${regionClass}">${this.formatRegionName(loc.hint_region)}</span>
+                            <span class="autocomplete-region ${regionClass}">${this.escape(this.formatRegionName(loc.hint_region))}</span>
                             <span class="autocomplete-separator">•</span>
-                            <span class="autocomplete-type ${typeClass}">${this.version === '2' && loc.kong === "Any" ? loc.type : loc.kong}</span>
+                            <span class="autocomplete-type ${typeClass}">${this.escape(this.version === '2' && loc.kong === "Any" ? loc.type : loc.kong)}</span>
                             <span class="autocomplete-separator">•</span>
-                            <span class="autocomplete-req ${reqClass}">${reqCount} moves</span>
+                            <span class="autocomplete-req ${reqClass}">${this.t('autocomplete.moves', { count: reqCount })}</span>
                         </div>
                         ${movesHTML ? `<div class="autocomplete-moves">${movesHTML}</div>` : ''}
+                        ${reasons.length > 0 ? `<div class="autocomplete-reasons">${reasons.map(reason => `<span class="autocomplete-reason">${this.escape(this.describeMatch(reason))}</span>`).join('')}</div>` : ''}
                     </div>
                 `;
             })
@@ -359,11 +601,29 @@ class DonkdleGame {
         autocompleteList.querySelectorAll('.autocomplete-item').forEach(item => {
             item.addEventListener('click', () => {
                 document.getElementById('locationInput').value = item.dataset.name;
-                autocompleteList.classList.remove('active');
+                this.closeAutocomplete();
             });
         });
 
         autocompleteList.classList.add('active');
+        const input = document.getElementById('locationInput');
+        input.setAttribute('aria-expanded', 'true');
+        input.removeAttribute('aria-activedescendant');
+    }
+
+    closeAutocomplete() {
+        document.getElementById('autocompleteList').classList.remove('active');
+        const input = document.getElementById('locationInput');
+        input.setAttribute('aria-expanded', 'false');
+        input.removeAttribute('aria-activedescendant');
+    }
+
+    describeMatch(match) {
+        // Why a suggestion showed up, e.g. Type: Blueprint (close to "blueprnt")
+        const reason = this.t(`search.${match.field}`, { value: match.value });
+        if (match.kind === 'typo') return this.t('search.typo', { reason, term: match.term });
+        if (match.kind === 'alias') return this.t('search.alias', { reason, term: match.term });
+        return reason;
     }
 
     highlightMatch(text, search) {
@@ -378,7 +638,10 @@ class DonkdleGame {
         const pattern = escapedTerms.join('|');
         const regex = new RegExp(`(${pattern})`, 'gi');
         
-        return text.replace(regex, '<strong>$1</strong>');
+        // Split on the matches so the name itself is escaped, not the markup
+        return text.split(regex)
+            .map((part, index) => (index % 2 === 1 ? `<strong>${this.escape(part)}</strong>` : this.escape(part)))
+            .join('');
     }
 
     navigateAutocomplete(e) {
@@ -393,7 +656,10 @@ class DonkdleGame {
         let current = list.querySelector('.selected');
         let index = current ? Array.from(items).indexOf(current) : -1;
 
-        if (current) current.classList.remove('selected');
+        if (current) {
+            current.classList.remove('selected');
+            current.setAttribute('aria-selected', 'false');
+        }
 
         if (e.key === 'ArrowDown') {
             index = (index + 1) % items.length;
@@ -402,186 +668,122 @@ class DonkdleGame {
         }
 
         items[index].classList.add('selected');
+        items[index].setAttribute('aria-selected', 'true');
         items[index].scrollIntoView({ block: 'nearest' });
+
+        // Screen readers follow the highlighted option while focus stays in the input
+        document.getElementById('locationInput').setAttribute('aria-activedescendant', items[index].id);
     }
 
     makeGuess() {
         if (this.gameOver) return;
 
         const input = document.getElementById('locationInput');
-        const locationName = input.value.trim();
-
-        if (!locationName) {
-            this.showMessage('Please enter a location name', 'error');
-            this.shakeInput();
-            return;
-        }
-
-        // Find the location
-        const guessedLocation = this.locations.find(
-            loc => loc.name.toLowerCase() === locationName.toLowerCase()
-        );
-
-        if (!guessedLocation) {
-            this.showMessage('Location not found. Please select from the list.', 'error');
-            this.shakeInput();
-            return;
+        let result;
+        if (this.marathon) {
+            result = this.marathon.makeGuess(input.value, Math.random, this.pool);
+        } else if (this.versus) {
+            result = this.versus.makeGuess(input.value);
+        } else {
+            result = this.engine.makeGuess(input.value);
         }
 
-        // Check if already guessed
-        if (this.guesses.some(g => g.location.id === guessedLocation.id)) {
-            this.showMessage('You already guessed this location!', 'error');
+        if (result.error) {
+            const errorMessages = {
+                'empty': this.t('message.empty'),
+                'not-found': this.t('message.notFound'),
+                'duplicate': this.t('message.duplicate')
+            };
+            const text = result.error === 'strict'
+                ? this.describeStrictViolation(result.violation)
+                : errorMessages[result.error];
+            this.showMessage(text, 'error');
             this.shakeInput();
             return;
         }
 
-        // Add guess
-        const feedback = this.evaluateGuess(guessedLocation);
-        this.guesses.push({ location: guessedLocation, feedback });
-
         // Clear input and autocomplete
         input.value = '';
-        document.getElementById('autocompleteList').classList.remove('active');
-
-        // Check win condition
-        if (guessedLocation.id === this.targetLocation.id) {
-            this.gameWon = true;
-            this.gameOver = true;
-        }
-
-        // Check if max guesses reached (for hard mode)
-        if (this.guesses.length >= this.maxGuesses && !this.gameWon) {
-            this.gameOver = true;
-        }
+        this.closeAutocomplete();
 
         // Save state and render with animation
         this.saveGameState();
         this.renderBoard(true); // Pass true to animate the new guess
-
-        if (this.gameOver) {
+        this.updateTimer();
+        this.announce(this.describeGuess(result.guess));
+
+        if (result.solved) {
+            this.showMessage(this.t('marathon.solved', { name: result.solved.target.name, count: this.marathon.guessesLeft }), 'success');
+        } else if (this.gameOver) {
+            if (this.marathon) {
+                this.recordMarathon();
+            }
             setTimeout(() => this.showGameOver(), 2500); // Increased delay for animation
+        } else if (this.versus) {
+            this.showMessage(this.t('versus.passDevice', { turn: this.describeTurn() }), 'info');
         } else {
-            const remaining = this.maxGuesses === Infinity ? '' : ` (${this.maxGuesses - this.guesses.length} left)`;
-            this.showMessage(`${this.guesses.length} ${this.guesses.length === 1 ? 'guess' : 'guesses'} made${remaining}. Keep trying!`, 'info');
+            const text = this.maxGuesses === Infinity
+                ? this.t('message.progress', { count: this.guesses.length })
+                : this.t('message.progressLimited', { count: this.guesses.length, left: this.maxGuesses - this.guesses.length });
+            this.showMessage(text, 'info');
         }
     }
 
-    evaluateGuess(guessed) {
-        const target = this.targetLocation;
-        
-        // Region/Level evaluation
-        let regionStatus = 'absent';
-        if (guessed.hint_region === target.hint_region) {
-            regionStatus = 'correct';
-        } else if (guessed.level === target.level) {
-            regionStatus = 'present';
-        }
-
-        // Kong/Type evaluation - version dependent
-        let typeStatus = 'absent';
-        let typeValue = '';
-        let typeLabel = '';
-        
-        if (this.version === '2') {
-            // Version 2.0: Display kong unless it's "Any", then display type
-            if (guessed.kong === "Any") {
-                // When kong is "Any", compare and display type
-                typeValue = guessed.type;
-                typeLabel = 'TYPE';
-                if (guessed.type === target.type) {
-                    typeStatus = 'correct';
-                }
-            } else {
-                // When kong is specific, compare and display kong
-                typeValue = guessed.kong;
-                typeLabel = 'KONG';
-                if (guessed.kong === target.kong) {
-                    typeStatus = 'correct';
-                }
-            }
-        } else {
-            // Version 1.0: Always compare and display kong
-            typeValue = guessed.kong;
-            typeLabel = 'KONG';
-            
-            const guessedKongs = guessed.kong.split(',').map(k => k.trim());
-            const targetKongs = target.kong.split(',').map(k => k.trim());
-            
-            // Check if kong lists match exactly
-            const guessedSet = new Set(guessedKongs);
-            const targetSet = new Set(targetKongs);
-            
-            if (guessedSet.size === targetSet.size && [...guessedSet].every(k => targetSet.has(k))) {
-                typeStatus = 'correct';
-            }
-        }
-        // No yellow/present state - either correct or absent
+    describeStrictViolation(violation) {
+        const { guessNumber, guess } = violation;
+        const f = guess.feedback;
+        const moves = (guess.location.moves || []).join(', ');
+        const clues = {
+            'region': () => this.t('strict.region', { region: this.formatRegionName(f.region.value) }),
+            'level': () => this.t('strict.level', { level: guess.location.level }),
+            'level-direction': () => this.t(f.region.arrow === '↑' ? 'strict.levelAfter' : 'strict.levelBefore', { level: guess.location.level }),
+            'type': () => this.t((f.type.label || 'KONG') === 'KONG' ? 'strict.kong' : 'strict.type', { value: f.type.value }),
+            'requirement': () => this.t('strict.requirement', { count: f.requirement.value }),
+            'requirement-direction': () => this.t(f.requirement.arrow === '↑' ? 'strict.requirementMore' : 'strict.requirementFewer', { count: f.requirement.value }),
+            'move': () => this.t('strict.move', { move: violation.move }),
+            'moves-exact': () => this.t('strict.movesExact', { moves: moves || this.t('strict.movesNone') }),
+            'moves-overlap': () => this.t('strict.movesOverlap', { moves })
+        };
+        return this.t('strict.violation', { number: guessNumber, clue: clues[violation.clue]() });
+    }
 
-        // Requirements evaluation
-        let requirementStatus = 'absent';
-        let requirementArrow = '';
-        const guessedReqCount = (guessed.moves || []).length;
-        const targetReqCount = (target.moves || []).length;
-        
-        if (guessedReqCount === targetReqCount) {
-            requirementStatus = 'correct';
-        } else {
-            requirementStatus = 'absent';
-            requirementArrow = guessedReqCount < targetReqCount ? '↑' : '↓';
+    describeGuess(guess, number = this.guesses.indexOf(guess) + 1) {
+        // Feedback in words, for screen readers
+        const f = guess.feedback;
+        const status = value => this.t(`a11y.${value}`);
+        const parts = [this.versus && guess.player !== undefined
+            ? this.t('a11y.guessBy', { number, name: guess.location.name, player: this.versus.players[guess.player].name })
+            : this.t('a11y.guess', { number, name: guess.location.name })];
+
+        let region = this.t('a11y.region', { value: this.formatRegionName(f.region.value), status: status(f.region.status) });
+        if (f.region.arrow) region += ` ${this.t(f.region.arrow === '↑' ? 'a11y.later' : 'a11y.earlier')}`;
+        parts.push(region);
+
+        const typeKey = (f.type.label || 'KONG') === 'KONG' ? 'a11y.kong' : 'a11y.type';
+        parts.push(this.t(typeKey, { value: f.type.value, status: status(f.type.status) }));
+
+        let requirement = this.t('a11y.requirement', { value: f.requirement.value, status: status(f.requirement.status) });
+        if (f.requirement.arrow) requirement += ` ${this.t(f.requirement.arrow === '↑' ? 'a11y.more' : 'a11y.fewer')}`;
+        parts.push(requirement);
+
+        parts.push(this.t('a11y.moves', { status: status(f.moves.status) }));
+        const moves = f.moves.feedback;
+        if (!moves.hardMode && moves.common.length > 0) {
+            parts.push(this.t('a11y.movesMatching', { moves: moves.common.join(', ') }));
         }
-
-        // Moves evaluation - must match exactly for green, any overlap for yellow
-        const guessedMoves = new Set(guessed.moves || []);
-        const targetMoves = new Set(target.moves || []);
-        
-        // Calculate move matches (needed for both modes)
-        const commonMoves = [...guessedMoves].filter(m => targetMoves.has(m));
-        const missingMoves = [...targetMoves].filter(m => !guessedMoves.has(m));
-        const extraMoves = [...guessedMoves].filter(m => !targetMoves.has(m));
-        
-        let movesStatus = 'absent';
-        let moveFeedback = {};
-        
-        // Green only if exact match (same moves, no extras, no missing) - same logic for both modes
-        if (guessedMoves.size === targetMoves.size && 
-            commonMoves.length === targetMoves.size && 
-            missingMoves.length === 0 && 
-            extraMoves.length === 0) {
-            movesStatus = 'correct';
-        } else if (commonMoves.length > 0) {
-            // Yellow if at least one move matches
-            movesStatus = 'present';
-        }
-        
-        if (this.hardMode) {
-            // Hard mode: don't show individual move feedback, just the moves
-            moveFeedback = {
-                allMoves: [...guessedMoves],
-                common: [],
-                missing: [],
-                extra: [],
-                hardMode: true
-            };
-        } else {
-            // Normal mode: show detailed move feedback
-            moveFeedback = {
-                common: commonMoves,
-                missing: missingMoves,
-                extra: extraMoves,
-                hardMode: false
-            };
+        if (!moves.hardMode && moves.extra.length > 0) {
+            parts.push(this.t('a11y.movesExtra', { moves: moves.extra.join(', ') }));
         }
+        return parts.join(' ');
+    }
 
-        return {
-            region: { status: regionStatus, value: guessed.hint_region },
-            type: { status: typeStatus, value: typeValue, label: typeLabel },
-            requirement: { 
-                status: requirementStatus, 
-                value: guessedReqCount,
-                arrow: requirementArrow
-            },
-            moves: { status: movesStatus, feedback: moveFeedback }
-        };
+    announce(text) {
+        // Clear first so the same text is announced again
+        const announcer = document.getElementById('announcer');
+        announcer.textContent = '';
+        setTimeout(() => {
+            announcer.textContent = text;
+        }, 100);
     }
 
     renderBoard(animateNew = false) {
@@ -604,16 +806,227 @@ class DonkdleGame {
             document.getElementById('locationInput').disabled = true;
             document.getElementById('guessBtn').disabled = true;
         }
+
+        this.renderHints();
+        if (this.marathon) {
+            this.renderMarathon();
+        }
+        if (this.versus) {
+            this.renderVersus();
+        }
+    }
+
+    renderMarathon() {
+        const status = this.marathon.over
+            ? this.t('marathon.over', { solved: this.marathon.score })
+            : this.t('marathon.status', {
+                target: this.marathon.rounds.length + 1,
+                solved: this.marathon.score,
+                left: this.marathon.guessesLeft,
+                budget: this.marathon.budget
+            });
+        document.getElementById('puzzleInfo').textContent = status;
+
+        // Finished targets, most recent first
+        const history = document.getElementById('marathonHistory');
+        history.innerHTML = '';
+        const rounds = this.marathon.rounds.map((round, index) => ({ round, index }))
+            .filter(({ round }) => !this.marathon.over || round !== this.marathon.rounds[this.marathon.rounds.length - 1])
+            .reverse();
+        rounds.forEach(({ round, index }) => {
+            const details = document.createElement('details');
+            details.className = 'marathon-round';
+            details.innerHTML = `<summary>${this.t('marathon.round', {
+                result: round.won ? '✅' : '❌',
+                number: index + 1,
+                name: this.escape(round.target.name),
+                count: round.guesses.length
+            })}</summary>`;
+            round.guesses.forEach((guess, index) => details.appendChild(this.createGuessRow(guess, false, index + 1)));
+            history.appendChild(details);
+        });
+    }
+
+    recordMarathon() {
+        this.marathonPlace = this.stats.recordMarathon({
+            date: new Date(),
+            version: this.version,
+            hardMode: this.hardMode,
+            score: this.marathon.score,
+            guesses: this.marathon.budget
+        });
+    }
+
+    startNewRun() {
+        this.marathon.start(Math.random, this.pool);
+        this.marathonPlace = 0;
+        this.saveGameState();
+        this.hideModal('gameOverModal');
+        document.getElementById('locationInput').disabled = false;
+        document.getElementById('guessBtn').disabled = false;
+        this.renderBoard();
+        this.showMessage(this.t('marathon.started'), 'info');
+    }
+
+    showVersusSetup() {
+        document.getElementById('locationInput').disabled = true;
+        document.getElementById('guessBtn').disabled = true;
+        document.getElementById('versusSetupError').style.display = 'none';
+        this.showModal('versusModal');
+    }
+
+    startMatch() {
+        const names = [...document.querySelectorAll('.versus-player-name')]
+            .map(input => input.value.trim())
+            .filter(name => name !== '');
+        const error = document.getElementById('versusSetupError');
+
+        if (names.length < DonkdleVersus.MIN_PLAYERS || names.length > DonkdleVersus.MAX_PLAYERS) {
+            error.textContent = this.t('versus.namesError', { min: DonkdleVersus.MIN_PLAYERS, max: DonkdleVersus.MAX_PLAYERS });
+            error.style.display = 'block';
+            return;
+        }
+        if (new Set(names.map(name => name.toLowerCase())).size !== names.length) {
+            error.textContent = this.t('versus.duplicateNames');
+            error.style.display = 'block';
+            return;
+        }
+
+        const guessLimit = Number(document.getElementById('versusGuessLimit').value);
+        this.versus.setup(names, {
+            turnOrder: document.getElementById('versusTurnOrder').value,
+            guessLimit: guessLimit > 0 ? guessLimit : Infinity
+        });
+        this.startVersusRound();
+    }
+
+    startVersusRound() {
+        this.versus.startRound(Math.random, this.pool);
+        this.saveGameState();
+        this.hideModal('versusModal');
+        this.hideModal('gameOverModal');
+        document.getElementById('locationInput').disabled = false;
+        document.getElementById('guessBtn').disabled = false;
+        this.renderBoard();
+        this.showMessage(this.t('versus.roundStart', { round: this.versus.rounds.length + 1, turn: this.describeTurn() }), 'info');
+    }
+
+    describeTurn() {
+        const player = this.versus.players[this.versus.currentPlayer];
+        const left = this.versus.guessLimit - this.versus.getGuessCount(this.versus.currentPlayer);
+        return left === Infinity
+            ? this.t('versus.turn', { name: player.name })
+            : this.t('versus.turnLimited', { name: player.name, count: left });
+    }
+
+    renderVersus() {
+        const info = document.getElementById('puzzleInfo');
+        if (this.versus.players.length === 0) {
+            info.textContent = this.t('versus.info');
+            return;
+        }
+        const round = this.versus.rounds.length + (this.versus.roundOver ? 0 : 1);
+        info.textContent = this.versus.roundOver
+            ? this.t('versus.round', { round })
+            : this.t('versus.roundTurn', { round, name: this.versus.players[this.versus.currentPlayer].name });
+
+        this.renderScoreboard(document.getElementById('versusScoreboard'));
+    }
+
+    renderScoreboard(container) {
+        // Built with textContent since player names are free text
+        container.innerHTML = '';
+        this.versus.players.forEach((player, index) => {
+            const chip = document.createElement('span');
+            chip.className = 'versus-player';
+            if (!this.versus.roundOver && index === this.versus.currentPlayer) {
+                chip.classList.add('current');
+            }
+            chip.textContent = this.t('versus.score', { name: player.name, score: player.score });
+            container.appendChild(chip);
+        });
+    }
+
+    showVersusRoundOver() {
+        const title = document.getElementById('gameOverTitle');
+        const message = document.getElementById('gameOverMessage');
+        const answerDisplay = document.getElementById('answerDisplay');
+        const round = this.versus.rounds[this.versus.rounds.length - 1];
+
+        if (round && round.winner !== null) {
+            title.textContent = this.t('versus.roundWon', { name: this.versus.players[round.winner].name, round: this.versus.rounds.length });
+        } else {
+            title.textContent = this.t('versus.roundNobody', { round: this.versus.rounds.length });
+        }
+        const leaders = this.versus.getLeaders().map(index => this.versus.players[index].name);
+        message.textContent = leaders.length === 1
+            ? this.t('versus.leads', { name: leaders[0] })
+            : this.t('versus.tied', { names: leaders.join(', ') });
+
+        answerDisplay.innerHTML = `
+            <h3>${this.t('gameOver.location')}</h3>
+            <p><span class="answer-label">${this.t('gameOver.name')}</span> ${this.escape(this.targetLocation.name)}</p>
+            <p><span class="answer-label">${this.t('gameOver.region')}</span> ${this.escape(this.formatRegionName(this.targetLocation.hint_region))}</p>
+            <div id="roundScoreboard" class="versus-scoreboard"></div>
+            <button id="nextRoundBtn" class="guess-btn" style="margin-top: 20px;">${this.t('versus.nextRound')}</button>
+            <button id="newMatchBtn" class="share-btn" style="margin-top: 10px;">${this.t('versus.newMatch')}</button>
+        `;
+        this.renderScoreboard(document.getElementById('roundScoreboard'));
+        document.getElementById('nextRoundBtn').addEventListener('click', () => this.startVersusRound());
+        document.getElementById('newMatchBtn').addEventListener('click', () => {
+            this.hideModal('gameOverModal');
+            this.showVersusSetup();
+        });
+
+        document.getElementById('timingDisplay').style.display = 'none';
+        document.getElementById('analysisDisplay').innerHTML = '';
+        this.showModal('gameOverModal');
     }
 
-    createGuessRow(guess, animate = false) {
+    takeHint() {
+        const hint = this.engine.takeHint();
+        if (!hint) return;
+
+        this.saveGameState();
+        this.renderHints();
+        this.showMessage(this.t('message.hint', { hint: this.formatHint(hint) }), 'info');
+    }
+
+    formatHint(hint) {
+        const value = hint.kind === 'region' ? this.formatRegionName(hint.value) : hint.value;
+        return `${this.t(`hint.${hint.kind}`)}: ${value}`;
+    }
+
+    renderHints() {
+        const hintsDisplay = document.getElementById('hintsDisplay');
+        const hintBtn = document.getElementById('hintBtn');
+
+        hintsDisplay.innerHTML = this.engine.hints
+            .map(hint => `<span class="hint-chip">💡 ${this.escape(this.formatHint(hint))}</span>`)
+            .join('');
+
+        // Hard mode, marathons and versus matches disable hints entirely
+        hintBtn.style.display = this.hardMode || this.marathon || this.versus ? 'none' : '';
+        hintBtn.disabled = !this.engine.canTakeHint();
+    }
+
+    createGuessRow(guess, animate = false, number) {
         const wrapper = document.createElement('div');
         wrapper.className = 'guess-row';
+        wrapper.setAttribute('role', 'group');
+        wrapper.setAttribute('aria-label', this.describeGuess(guess, number));
 
         // Location name header
         const nameHeader = document.createElement('div');
         nameHeader.className = 'guess-location-name';
         nameHeader.textContent = guess.location.name;
+        if (this.versus && guess.player !== undefined) {
+            // Versus: who made this guess
+            const playerTag = document.createElement('span');
+            playerTag.className = 'guess-player';
+            playerTag.textContent = this.versus.players[guess.player].name;
+            nameHeader.prepend(playerTag);
+        }
         wrapper.appendChild(nameHeader);
 
         // Cells container
@@ -624,18 +1037,21 @@ class DonkdleGame {
         const regionCell = document.createElement('div');
         regionCell.className = `guess-cell ${animate ? '' : guess.feedback.region.status}`;
         regionCell.innerHTML = `
-            <div class="cell-label">REGION</div>
-            <div class="cell-value">${this.formatRegionName(guess.feedback.region.value)}</div>
+            <div class="cell-label">${this.t('cell.region')}</div>
+            <div class="cell-value">
+                ${this.escape(this.formatRegionName(guess.feedback.region.value))}
+                ${guess.feedback.region.arrow ? `<span class="level-arrow">${guess.feedback.region.arrow}</span>` : ''}
+            </div>
         `;
         row.appendChild(regionCell);
 
         // Kong/Type cell (dynamically labeled)
         const typeCell = document.createElement('div');
         typeCell.className = `guess-cell ${animate ? '' : guess.feedback.type.status}`;
-        const cellLabel = guess.feedback.type.label || 'KONG'; // Fallback for old saved games
+        const cellLabel = this.t(`cell.${(guess.feedback.type.label || 'KONG').toLowerCase()}`); // Fallback for old saved games
         typeCell.innerHTML = `
             <div class="cell-label">${cellLabel}</div>
-            <div class="cell-value">${guess.feedback.type.value}</div>
+            <div class="cell-value">${this.escape(guess.feedback.type.value)}</div>
         `;
         row.appendChild(typeCell);
 
@@ -643,7 +1059,7 @@ class DonkdleGame {
         const reqCell = document.createElement('div');
         reqCell.className = `guess-cell ${animate ? '' : guess.feedback.requirement.status}`;
         reqCell.innerHTML = `
-            <div class="cell-label">REQS</div>
+            <div class="cell-label">${this.t('cell.reqs')}</div>
             <div class="cell-value">
                 ${guess.feedback.requirement.value}
                 ${guess.feedback.requirement.arrow ? `<span class="requirement-arrow">${guess.feedback.requirement.arrow}</span>` : ''}
@@ -669,28 +1085,28 @@ class DonkdleGame {
             if (f.allMoves && f.allMoves.length > 0) {
                 movesDisplay = '<div class="moves-section">';
                 f.allMoves.forEach(move => {
-                    movesDisplay += `<span class="move-chip move-neutral">${move}</span>`;
+                    movesDisplay += `<span class="move-chip move-neutral">${this.escape(move)}</span>`;
                 });
                 movesDisplay += '</div>';
             } else {
-                movesDisplay = '<div class="moves-none">None</div>';
+                movesDisplay = `<div class="moves-none">${this.t('cell.none')}</div>`;
             }
         } else {
             // Normal mode: show individual move feedback
             if (f.common.length === 0 && f.extra.length === 0) {
-                movesDisplay = '<div class="moves-none">None</div>';
+                movesDisplay = `<div class="moves-none">${this.t('cell.none')}</div>`;
             } else {
                 if (f.common.length > 0) {
                     movesDisplay += '<div class="moves-section">';
                     f.common.forEach(move => {
-                        movesDisplay += `<span class="move-chip move-correct">✓ ${move}</span>`;
+                        movesDisplay += `<span class="move-chip move-correct">✓ ${this.escape(move)}</span>`;
                     });
                     movesDisplay += '</div>';
                 }
                 if (f.extra.length > 0) {
                     movesDisplay += '<div class="moves-section">';
                     f.extra.forEach(move => {
-                        movesDisplay += `<span class="move-chip move-extra">${move}</span>`;
+                        movesDisplay += `<span class="move-chip move-extra">${this.escape(move)}</span>`;
                     });
                     movesDisplay += '</div>';
                 }
@@ -698,7 +1114,7 @@ class DonkdleGame {
         }
         
         movesCell.innerHTML = `
-            <div class="cell-label">MOVES</div>
+            <div class="cell-label">${this.t('cell.moves')}</div>
             <div class="moves-display">${movesDisplay}</div>
         `;
         row.appendChild(movesCell);
@@ -733,10 +1149,10 @@ class DonkdleGame {
         const row = document.createElement('div');
         row.className = 'guess-cells-container';
 
-        ['REGION', 'KONG', 'REQS', 'MOVES'].forEach(label => {
+        ['region', 'kong', 'reqs', 'moves'].forEach(label => {
             const cell = document.createElement('div');
             cell.className = 'guess-cell empty';
-            cell.innerHTML = `<div class="cell-label">${label}</div>`;
+            cell.innerHTML = `<div class="cell-label">${this.t(`cell.${label}`)}</div>`;
             row.appendChild(cell);
         });
 
@@ -765,36 +1181,76 @@ class DonkdleGame {
     showModal(modalId) {
         // Update help modal content based on version
         if (modalId === 'helpModal') {
-            const kongHelpSection = document.querySelector('#helpModal .help-section:nth-child(2)');
-            if (this.version === '2') {
-                kongHelpSection.innerHTML = `
-                    <h3>🐵 Kong / 🎯 Type</h3>
-                    <p>Shows which Kong is needed, or the collectible type if any Kong works</p>
-                    <p><span class="color-box green">Green</span> = Correct kong or type</p>
-                    <p><span class="color-box Gray">Gray</span> = Wrong kong or type</p>
-                `;
-            } else {
-                kongHelpSection.innerHTML = `
-                    <h3>🐵 Kong</h3>
-                    <p><span class="color-box green">Green</span> = Correct kong(s)</p>
-                    <p><span class="color-box Gray">Gray</span> = No kong matches</p>
-                `;
+            const regionHelpSection = document.querySelector('#helpModal .help-section:nth-of-type(1)');
+            const kongHelpSection = document.querySelector('#helpModal .help-section:nth-of-type(2)');
+            regionHelpSection.querySelectorAll('.level-direction-help').forEach(p => p.remove());
+            if (this.engine.variant.levelDirection) {
+                regionHelpSection.insertAdjacentHTML('beforeend', this.t('help.levelDirection'));
             }
+            kongHelpSection.innerHTML = this.t(this.version === '2' ? 'help.kongType' : 'help.kong');
+        }
+        // Remember where focus came from so closing the last modal can return it
+        if (!document.activeElement || !document.activeElement.closest('.modal')) {
+            this.lastFocus = document.activeElement;
         }
-        document.getElementById(modalId).classList.add('active');
+        const modal = document.getElementById(modalId);
+        modal.classList.add('active');
+        const focusable = this.getFocusable(modal);
+        if (focusable.length > 0) focusable[0].focus();
     }
 
     hideModal(modalId) {
         document.getElementById(modalId).classList.remove('active');
+        if (!document.querySelector('.modal.active') && this.lastFocus && this.lastFocus.isConnected) {
+            this.lastFocus.focus();
+            this.lastFocus = null;
+        }
+    }
+
+    canDismissModal(modalId) {
+        // Versus setup has to finish before there is a game to return to
+        return !(modalId === 'versusModal' && this.versus && !this.targetLocation);
+    }
+
+    getFocusable(modal) {
+        return Array.from(modal.querySelectorAll('button, input, select, textarea, a[href], [tabindex]:not([tabindex="-1"])'))
+            .filter(el => !el.disabled && el.offsetParent !== null);
+    }
+
+    handleModalKeydown(e) {
+        const modal = document.querySelector('.modal.active');
+        if (!modal) return;
+
+        if (e.key === 'Escape') {
+            if (this.canDismissModal(modal.id)) this.hideModal(modal.id);
+            return;
+        }
+        if (e.key !== 'Tab') return;
+
+        // Wrap Tab and Shift+Tab around the modal's controls
+        const focusable = this.getFocusable(modal);
+        if (focusable.length === 0) {
+            e.preventDefault();
+            return;
+        }
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (!modal.contains(document.activeElement)) {
+            e.preventDefault();
+            first.focus();
+        } else if (e.shiftKey && document.activeElement === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
     }
 
     showStatsModal() {
-        const stats = this.getStats();
-        
-        document.getElementById('gamesPlayed').textContent = stats.played;
-        document.getElementById('winPercentage').textContent = stats.winPercentage;
-        document.getElementById('currentStreak').textContent = stats.currentStreak;
-        document.getElementById('maxStreak').textContent = stats.maxStreak;
+        // Default to the variant being played
+        document.getElementById('statsVariant').value = DonkdleStats.getVariant(this.version, this.hardMode);
+        this.renderStats();
 
         // Show share section if game is over
         const shareSection = document.getElementById('shareSection');
@@ -808,40 +1264,186 @@ class DonkdleGame {
         this.showModal('statsModal');
     }
 
+    showChallengeModal() {
+        // Fill the location picker once
+        const datalist = document.getElementById('challengeLocations');
+        if (datalist.children.length === 0) {
+            this.locations.forEach(loc => {
+                const option = document.createElement('option');
+                option.value = loc.name;
+                datalist.appendChild(option);
+            });
+        }
+
+        document.getElementById('challengeInput').value = '';
+        document.getElementById('challengeLink').style.display = 'none';
+        this.showModal('challengeModal');
+    }
+
+    createChallenge() {
+        const input = document.getElementById('challengeInput');
+        const location = this.engine.findLocationByName(input.value);
+        const linkDisplay = document.getElementById('challengeLink');
+
+        if (!location) {
+            linkDisplay.textContent = this.t('message.notFound');
+            linkDisplay.style.display = 'block';
+            return;
+        }
+
+        const versionParam = this.version === '2' ? '&version=2' : '';
+        // The location has to be looked up in the same dataset
+        const datasetParam = this.dataset ? `&dataset=${encodeURIComponent(new URLSearchParams(window.location.search).get('dataset'))}` : '';
+        const token = DonkdleEngine.encodeChallenge(location.id);
+        const url = new URL(`game.html?mode=challenge&c=${token}${versionParam}${datasetParam}`, window.location.href).href;
+
+        linkDisplay.textContent = url;
+        linkDisplay.style.display = 'block';
+        this.copyText(url, this.t('message.challengeCopied'));
+    }
+
+    renderStats() {
+        const [versionPart, difficulty] = document.getElementById('statsVariant').value.split('_');
+        const version = versionPart.slice(1);
+        const hardMode = difficulty === 'hard';
+        const stats = this.stats.getStats(version, hardMode);
+
+        document.getElementById('gamesPlayed').textContent = stats.played;
+        document.getElementById('winPercentage').textContent = stats.winPercentage;
+        document.getElementById('currentStreak').textContent = stats.currentStreak;
+        document.getElementById('maxStreak').textContent = stats.maxStreak;
+
+        // Guess distribution: hard mode caps at 6, normal mode groups long games as 7+
+        const buckets = ['1', '2', '3', '4', '5', '6'];
+        if (!hardMode) buckets.push('7+');
+        const counts = buckets.map(bucket => bucket === '7+'
+            ? Object.entries(stats.distribution)
+                .filter(([guesses]) => Number(guesses) >= 7)
+                .reduce((sum, [, count]) => sum + count, 0)
+            : stats.distribution[bucket] || 0);
+        const maxCount = Math.max(1, ...counts);
+
+        // Highlight today's result when looking at the variant being played
+        const isCurrent = this.mode === 'daily' && this.gameWon &&
+            version === this.version && hardMode === this.hardMode;
+        const currentBucket = this.guesses.length >= 7 && !hardMode ? '7+' : String(this.guesses.length);
+
+        document.getElementById('guessDistribution').innerHTML = buckets.map((bucket, index) => `
+            <div class="distribution-row">
+                <span class="distribution-label">${bucket}</span>
+                <div class="distribution-bar ${isCurrent && bucket === currentBucket ? 'current' : ''}" style="width: ${Math.max(8, (counts[index] / maxCount) * 100)}%">${counts[index]}</div>
+            </div>
+        `).join('');
+
+        // Totals from before stats were tracked per variant
+        const legacy = this.stats.getLegacyStats();
+        const legacyDisplay = document.getElementById('legacyStats');
+        if (legacy && legacy.played) {
+            legacyDisplay.textContent = this.t('stats.legacy', {
+                played: legacy.played,
+                percentage: Math.round((legacy.won / legacy.played) * 100),
+                maxStreak: legacy.maxStreak || 0
+            });
+            legacyDisplay.style.display = 'block';
+        } else {
+            legacyDisplay.style.display = 'none';
+        }
+    }
+
+    exportProgress() {
+        const backup = DonkdleBackup.export(localStorage);
+        const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `donkdle-backup-${DonkdleEngine.formatDateParam(new Date())}.json`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(link.href);
+    }
+
+    async importProgress(file) {
+        const report = document.getElementById('backupReport');
+        report.style.display = 'block';
+
+        let backup;
+        try {
+            backup = JSON.parse(await file.text());
+        } catch (e) {
+            report.textContent = this.t('backup.invalidJson');
+            return;
+        }
+
+        const problems = DonkdleBackup.validate(backup);
+        if (problems.length > 0) {
+            report.textContent = `${this.t('backup.failed')}\n${problems.join('\n')}`;
+            return;
+        }
+
+        const result = DonkdleBackup.merge(localStorage, backup);
+        const lines = [this.t('backup.imported', { added: result.added, updated: result.updated })];
+        if (result.conflicts.length > 0) {
+            lines.push(this.t('backup.conflicts', { count: result.conflicts.length }), ...result.conflicts);
+        }
+        report.textContent = lines.join('\n');
+
+        // Reload the current game in case its saved state was imported
+        this.loadGameState();
+        this.renderBoard();
+        this.renderStats();
+    }
+
     showGameOver() {
         const modal = document.getElementById('gameOverModal');
         const title = document.getElementById('gameOverTitle');
         const message = document.getElementById('gameOverMessage');
         const answerDisplay = document.getElementById('answerDisplay');
 
-        if (this.gameWon) {
-            title.textContent = '🎉 Congratulations! 🎉';
-            message.textContent = `You found the location in ${this.guesses.length} ${this.guesses.length === 1 ? 'guess' : 'guesses'}!`;
+        if (this.marathon) {
+            this.showMarathonOver();
+            return;
+        }
+        if (this.versus) {
+            this.showVersusRoundOver();
+            return;
+        }
+
+        if (this.gameWon && this.mode === 'challenge') {
+            title.textContent = this.t('gameOver.challengeTitle');
+            message.textContent = this.t('gameOver.challengeMessage', { count: this.guesses.length });
+        } else if (this.gameWon) {
+            title.textContent = this.t('gameOver.wonTitle');
+            message.textContent = this.t('gameOver.wonMessage', { count: this.guesses.length });
         } else {
-            title.textContent = '😢 Game Over';
-            message.textContent = this.mode === 'random' ? 'Better luck next time!' : 'Better luck tomorrow!';
+            title.textContent = this.t('gameOver.lostTitle');
+            message.textContent = this.t(this.mode === 'daily' ? 'gameOver.lostDaily' : 'gameOver.lostOther');
         }
 
         // Show the answer
         const movesText = this.targetLocation.moves && this.targetLocation.moves.length > 0
             ? this.targetLocation.moves.join(', ')
-            : 'None';
+            : this.t('cell.none');
         
         let playAgainButton = '';
         if (this.mode === 'random') {
-            playAgainButton = '<button id="playAgainBtn" class="guess-btn" style="margin-top: 20px;">Play Again</button>';
+            playAgainButton = `<button id="playAgainBtn" class="guess-btn" style="margin-top: 20px;">${this.t('gameOver.playAgain')}</button>`;
         }
         
+        const answerTitle = { daily: 'gameOver.todaysLocation', challenge: 'gameOver.challengeLocation' }[this.mode] || 'gameOver.location';
         answerDisplay.innerHTML = `
-            <h3>${this.mode === 'random' ? 'The Location:' : "Today's Location:"}</h3>
-            <p><span class="answer-label">Name:</span> ${this.targetLocation.name}</p>
-            <p><span class="answer-label">Region:</span> ${this.formatRegionName(this.targetLocation.hint_region)}</p>
-            <p><span class="answer-label">Level:</span> ${this.targetLocation.level}</p>
-            <p><span class="answer-label">Kong:</span> ${this.targetLocation.kong}</p>
-            <p><span class="answer-label">Move Count:</span> ${(this.targetLocation.moves || []).length}</p>
-            <p><span class="answer-label">Moves:</span> ${movesText}</p>
+            <h3>${this.t(answerTitle)}</h3>
+            <p><span class="answer-label">${this.t('gameOver.name')}</span> ${this.escape(this.targetLocation.name)}</p>
+            <p><span class="answer-label">${this.t('gameOver.region')}</span> ${this.escape(this.formatRegionName(this.targetLocation.hint_region))}</p>
+            <p><span class="answer-label">${this.t('gameOver.level')}</span> ${this.escape(this.targetLocation.level)}</p>
+            <p><span class="answer-label">${this.t('gameOver.kong')}</span> ${this.escape(this.targetLocation.kong)}</p>
+            <p><span class="answer-label">${this.t('gameOver.moveCount')}</span> ${(this.targetLocation.moves || []).length}</p>
+            <p><span class="answer-label">${this.t('gameOver.moves')}</span> ${this.escape(movesText)}</p>
             ${playAgainButton}
         `;
+
+        this.renderTiming(this.updateStats());
+        // Only daily puzzles have a next one to wait for
+        document.getElementById('gameOverCountdown').style.display = this.mode === 'daily' || this.mode === 'archive' ? '' : 'none';
         
         // Add play again button handler for random mode
         if (this.mode === 'random') {
@@ -853,29 +1455,144 @@ class DonkdleGame {
             }
         }
 
-        this.updateStats();
         this.showModal('gameOverModal');
+
+        // Analysis takes a moment, so let the modal paint first
+        document.getElementById('analysisDisplay').innerHTML = `<p class="analysis-loading">${this.t('analysis.loading')}</p>`;
+        setTimeout(() => this.renderAnalysis(), 50);
+    }
+
+    showMarathonOver() {
+        const title = document.getElementById('gameOverTitle');
+        const message = document.getElementById('gameOverMessage');
+        const answerDisplay = document.getElementById('answerDisplay');
+        const score = this.marathon.score;
+
+        title.textContent = this.t('marathon.title');
+        message.textContent = this.t('marathon.result', { count: score, budget: this.marathon.budget });
+
+        // The target the budget ran out on, if any
+        const lastRound = this.marathon.rounds[this.marathon.rounds.length - 1];
+        const unsolved = lastRound && !lastRound.won
+            ? `<p><span class="answer-label">${this.t('marathon.unsolved')}</span> ${this.escape(lastRound.target.name)}</p>`
+            : '';
+
+        const scores = this.stats.getMarathonScores(this.version, this.hardMode);
+        const rows = scores.map((entry, index) => `
+            <tr class="${index + 1 === this.marathonPlace ? 'current' : ''}">
+                <td>${index + 1}</td>
+                <td>${entry.score}</td>
+                <td>${this.i18n.formatDate(DonkdleEngine.parseDateParam(entry.date))}</td>
+            </tr>
+        `).join('');
+        const placeText = this.marathonPlace ? `<p class="personal-best">${this.t('marathon.place', { place: this.marathonPlace })}</p>` : '';
+
+        answerDisplay.innerHTML = `
+            ${unsolved}
+            ${placeText}
+            <h3>${this.t('marathon.highScores')}</h3>
+            <table class="marathon-scores">
+                <thead><tr><th>#</th><th>${this.t('marathon.solvedColumn')}</th><th>${this.t('marathon.dateColumn')}</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <button id="playAgainBtn" class="guess-btn" style="margin-top: 20px;">${this.t('marathon.newRun')}</button>
+        `;
+        document.getElementById('playAgainBtn').addEventListener('click', () => this.startNewRun());
+
+        document.getElementById('timingDisplay').style.display = 'none';
+        document.getElementById('analysisDisplay').innerHTML = '';
+        this.showModal('gameOverModal');
+    }
+
+    renderTiming(isBest = false) {
+        const timingDisplay = document.getElementById('timingDisplay');
+        if (!this.timedMode || this.engine.startTime === null) {
+            timingDisplay.style.display = 'none';
+            return;
+        }
+
+        const time = this.engine.getElapsed();
+        const best = this.stats.getPersonalBest(this.version, this.hardMode);
+
+        const splits = this.guesses
+            .filter(guess => guess.split !== undefined)
+            .map((guess, index) => `
+                <li><span class="split-name">${index + 1}. ${this.escape(guess.location.name)}</span><span class="split-time">${this.formatTime(guess.split)}</span></li>
+            `).join('');
+
+        timingDisplay.innerHTML = `
+            <h3>⏱️ ${this.formatTime(time)}</h3>
+            ${isBest ? `<p class="personal-best">${this.t('timing.newBest')}</p>` : ''}
+            ${!isBest && best ? `<p class="personal-best-previous">${this.t('timing.best', { time: this.formatTime(best.time) })}</p>` : ''}
+            <ol class="splits-list">${splits}</ol>
+        `;
+        timingDisplay.style.display = 'block';
+    }
+
+    renderAnalysis() {
+        const analysisDisplay = document.getElementById('analysisDisplay');
+        if (!this.solver) {
+            this.solver = new DonkdleSolver(this.engine);
+        }
+        // Random and drill targets come from this.pool; dailies from the whole dataset
+        const analysis = this.solver.analyze(this.guesses, this.pool.length > 0 ? this.pool : this.locations);
+
+        const rows = analysis.map((step, index) => {
+            const solverPick = step.bestGuess && step.bestGuess.id !== step.guess.id ? step.bestGuess.name : this.t('analysis.same');
+            // Luck is meaningless once only one candidate is left
+            const luck = step.candidatesBefore > 1 ? step.luck : '—';
+            return `
+                <tr>
+                    <td>${index + 1}</td>
+                    <td class="analysis-name">${this.escape(step.guess.name)}</td>
+                    <td>${step.candidatesBefore} → ${step.candidatesAfter}</td>
+                    <td class="analysis-name">${this.escape(solverPick)}</td>
+                    <td>${step.skill}</td>
+                    <td>${luck}</td>
+                </tr>
+            `;
+        }).join('');
+
+        analysisDisplay.innerHTML = `
+            <h3>${this.t('analysis.title')}</h3>
+            <table class="analysis-table">
+                <thead>
+                    <tr>
+                        <th>#</th>
+                        <th>${this.t('analysis.guess')}</th>
+                        <th title="${this.t('analysis.leftTitle')}">${this.t('analysis.left')}</th>
+                        <th title="${this.t('analysis.pickTitle')}">${this.t('analysis.pick')}</th>
+                        <th title="${this.t('analysis.skillTitle')}">${this.t('analysis.skill')}</th>
+                        <th title="${this.t('analysis.luckTitle')}">${this.t('analysis.luck')}</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
     }
 
     generateShareText() {
-        let date;
-        if (this.mode === 'daily') {
-            // Use CST time for daily mode
-            const cstDate = this.getCSTDate();
-            date = cstDate.toLocaleDateString();
-        } else {
-            // Use local time for random mode
-            const localDate = new Date();
-            date = localDate.toLocaleDateString('en-US');
+        if (this.marathon) {
+            return this.generateMarathonShareText();
         }
-        
+        if (this.versus) {
+            return this.generateVersusShareText();
+        }
+
+        const date = this.getShareDate();
         const emoji = this.gameWon ? '🎉' : '😢';
         const maxGuessDisplay = this.maxGuesses === Infinity ? '∞' : this.maxGuesses;
         const tries = this.gameWon ? `${this.guesses.length}/${maxGuessDisplay}` : `X/${maxGuessDisplay}`;
-        const modeTag = this.hardMode ? ' (Hard Mode)' : '';
+        const modeTag = this.getModeTag();
         const versionTag = this.version === '2' ? ' 2.0' : '';
+        const archiveTag = this.mode === 'archive' ? ` ${this.t('share.archive')}` : '';
+        const hintCount = this.engine.hints.length;
+        const hintTag = hintCount > 0 ? ` ${this.t('share.hints', { count: hintCount })}` : '';
+        
+        const timeTag = this.timedMode && this.engine.startTime !== null ? ` ⏱️ ${this.formatTime(this.engine.getElapsed())}` : '';
+        const drillLine = this.isDrill() ? `${this.t('share.drill', { filters: this.describePoolFilters() })}\n` : '';
         
-        let text = `Donkdle${versionTag} ${date} ${emoji}${modeTag}\n${tries}\n\n`;
+        let text = `Donkdle${versionTag} ${date}${archiveTag} ${emoji}${modeTag}${hintTag}${timeTag}\n${this.getDatasetLine()}${drillLine}${tries}\n\n`;
         
         this.guesses.forEach(guess => {
             const f = guess.feedback;
@@ -883,16 +1600,105 @@ class DonkdleGame {
             text += this.statusToEmoji(f.type.status);
             text += this.statusToEmoji(f.requirement.status);
             text += this.statusToEmoji(f.moves.status);
+            if (f.region.arrow) {
+                text += f.region.arrow === '↑' ? '⬆️' : '⬇️';
+            }
+            if (guess.split !== undefined) {
+                text += ` ${this.formatTime(guess.split)}`;
+            }
             text += '\n';
         });
         
         text += '\nhttps://umedmuzl.github.io/Donkdle/';
+
+        // Finished official puzzles carry a tag the friends board can read back
+        if (this.gameOver && (this.mode === 'daily' || this.mode === 'archive') && !this.dataset) {
+            text += `\n${DonkdleShare.formatTag({
+                date: this.puzzleDate,
+                version: this.version,
+                hardMode: this.hardMode,
+                strictMode: this.strictMode,
+                archive: this.mode === 'archive',
+                hints: this.engine.hints.length,
+                won: this.gameWon,
+                maxGuesses: this.maxGuesses,
+                grid: this.getResultGrid()
+            })}`;
+        }
         
         return text;
     }
 
+    getResultGrid() {
+        // Cell statuses of every guess, in board order
+        return this.guesses.map(guess => ({
+            statuses: ['region', 'type', 'requirement', 'moves'].map(key => guess.feedback[key].status),
+            arrow: guess.feedback.region.arrow
+        }));
+    }
+
+    getShareDate() {
+        if (this.mode === 'daily' || this.mode === 'archive') {
+            // Use the puzzle date for daily and archive mode
+            return this.i18n.formatDate(this.puzzleDate);
+        }
+        if (this.mode === 'challenge') {
+            // Challenges aren't tied to a day
+            return this.t('share.challenge');
+        }
+        // Use local time for random mode
+        return this.i18n.formatDate(new Date());
+    }
+
+    getDatasetLine() {
+        return this.dataset ? `${this.t('share.dataset', { name: this.dataset.name })}\n` : '';
+    }
+
+    getModeTag() {
+        return (this.hardMode ? ` ${this.t('share.hardMode')}` : '') + (this.strictMode ? ` ${this.t('share.strict')}` : '');
+    }
+
+    generateMarathonShareText() {
+        const versionTag = this.version === '2' ? ' 2.0' : '';
+        const date = this.i18n.formatDate(new Date());
+
+        let text = `Donkdle${versionTag} ${this.t('share.marathon')} ${date} 🏃${this.getModeTag()}\n${this.getDatasetLine()}`;
+        text += `${this.t('share.marathonScore', { solved: this.marathon.score, budget: this.marathon.budget })}\n\n`;
+        this.marathon.rounds.forEach(round => {
+            text += `${round.won ? '✅' : '❌'} ${round.guesses.length}\n`;
+        });
+        text += '\nhttps://umedmuzl.github.io/Donkdle/';
+
+        return text;
+    }
+
+    generateVersusShareText() {
+        const versionTag = this.version === '2' ? ' 2.0' : '';
+        const date = this.i18n.formatDate(new Date());
+        const scores = this.versus.players.map(player => `${player.name} ${player.score}`).join(' • ');
+
+        let text = `Donkdle${versionTag} ${this.t('share.versus')} ${date} 🎮${this.getModeTag()}\n${this.getDatasetLine()}`;
+        text += `${this.t('share.versusScore', { count: this.versus.rounds.length, scores })}\n\n`;
+        this.guesses.forEach(guess => {
+            const f = guess.feedback;
+            text += this.statusToEmoji(f.region.status);
+            text += this.statusToEmoji(f.type.status);
+            text += this.statusToEmoji(f.requirement.status);
+            text += this.statusToEmoji(f.moves.status);
+            text += ` ${this.versus.players[guess.player].name}\n`;
+        });
+        text += '\nhttps://umedmuzl.github.io/Donkdle/';
+
+        return text;
+    }
+
     statusToEmoji(status) {
-        const emojiMap = {
+        // The colorblind palette uses shapes as well as colors
+        const emojiMap = this.colorblindMode ? {
+            correct: '✅',
+            present: '🔶',
+            absent: '⬛'
+        } : {
             correct: '🟩',
             present: '🟨',
             absent: '⬛'
@@ -901,20 +1707,97 @@ class DonkdleGame {
     }
 
     shareResults() {
-        const text = this.generateShareText();
-        
+        this.copyText(this.generateShareText());
+    }
+
+    getCardData(reveal) {
+        // The result card: colors only, or with the guessed names once the game is over
+        const style = getComputedStyle(document.body);
+        const color = name => style.getPropertyValue(`--${name}`).trim();
+        const maxGuessDisplay = this.maxGuesses === Infinity ? '∞' : this.maxGuesses;
+        const hintCount = this.engine.hints.length;
+
+        return {
+            lines: [
+                this.getShareDate(),
+                this.version === '2' ? '2.0' : this.t('practice.classic'),
+                this.t(this.hardMode ? 'card.hard' : 'card.normal'),
+                this.strictMode ? this.t('card.strict') : '',
+                hintCount > 0 ? this.t('share.hints', { count: hintCount }) : '',
+                this.dataset ? this.dataset.name : ''
+            ].filter(Boolean),
+            result: `${this.gameWon ? '🎉' : '😢'} ${this.gameWon ? this.guesses.length : 'X'}/${maxGuessDisplay}`,
+            columns: [
+                this.t('cell.region'),
+                this.version === '2' ? `${this.t('cell.kong')}/${this.t('cell.type')}` : this.t('cell.kong'),
+                this.t('cell.reqs'),
+                this.t('cell.moves')
+            ],
+            rows: this.getResultGrid().map((row, index) => ({
+                ...row,
+                name: reveal && this.gameOver ? this.guesses[index].location.name : null
+            })),
+            colors: { correct: color('correct'), present: color('present'), absent: color('absent') },
+            marks: this.colorblindMode ? { correct: '✓', present: '◆', absent: '✗' } : null,
+            footer: 'umedmuzl.github.io/Donkdle'
+        };
+    }
+
+    async shareImage() {
+        const reveal = document.getElementById('revealNamesToggle').checked;
+        let blob;
+        try {
+            blob = await new DonkdleCard(this.getCardData(reveal)).toBlob();
+        } catch (error) {
+            console.error('Error drawing result card:', error);
+            this.showMessage(this.t('card.failed'), 'error');
+            return;
+        }
+
+        const date = this.mode === 'daily' || this.mode === 'archive' ? this.puzzleDate : new Date();
+        const pad = n => String(n).padStart(2, '0');
+        const fileName = `donkdle-${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}.png`;
+        const file = new File([blob], fileName, { type: 'image/png' });
+
+        // Phones and some desktop browsers can hand the image straight to an app
+        if (navigator.canShare && navigator.canShare({ files: [file] })) {
+            try {
+                await navigator.share({ files: [file], title: 'Donkdle' });
+                return;
+            } catch (error) {
+                // Closing the share sheet isn't a failure
+                if (error.name === 'AbortError') return;
+                console.warn('Sharing the image failed, downloading it instead:', error);
+            }
+        }
+        this.downloadImage(blob, fileName);
+    }
+
+    downloadImage(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+        this.showMessage(this.t('card.downloaded'), 'success');
+    }
+
+    copyText(text, successMessage = this.t('message.copied')) {
         if (navigator.clipboard && navigator.clipboard.writeText) {
             navigator.clipboard.writeText(text).then(() => {
-                this.showMessage('Results copied to clipboard!', 'success');
+                this.showMessage(successMessage, 'success');
             }).catch(() => {
-                this.fallbackCopy(text);
+                this.fallbackCopy(text, successMessage);
             });
         } else {
-            this.fallbackCopy(text);
+            this.fallbackCopy(text, successMessage);
         }
     }
 
-    fallbackCopy(text) {
+    fallbackCopy(text, successMessage = this.t('message.copied')) {
         const textarea = document.createElement('textarea');
         textarea.value = text;
         textarea.style.position = 'fixed';
@@ -924,9 +1807,9 @@ class DonkdleGame {
         
         try {
             document.execCommand('copy');
-            this.showMessage('Results copied to clipboard!', 'success');
+            this.showMessage(successMessage, 'success');
         } catch (err) {
-            this.showMessage('Failed to copy. Please copy manually.', 'error');
+            this.showMessage(this.t('message.copyFailed'), 'error');
             document.getElementById('shareText').textContent = text;
         }
         
@@ -939,98 +1822,89 @@ class DonkdleGame {
             // Don't save random game state
             return null;
         }
-        const today = this.getCSTDate();
-        const versionSuffix = this.version === '2' ? '_v2' : '';
-        return `donkdle_${today.getFullYear()}_${today.getMonth() + 1}_${today.getDate()}${versionSuffix}`;
+        if (this.mode === 'marathon') {
+            // One marathon run in progress per version
+            return `donkdle_marathon${this.version === '2' ? '_v2' : ''}`;
+        }
+        if (this.mode === 'versus') {
+            // Likewise one versus match
+            return `donkdle_versus${this.version === '2' ? '_v2' : ''}`;
+        }
+        if (this.mode === 'challenge') {
+            // Each challenge link keeps its own progress
+            const versionSuffix = this.version === '2' ? '_v2' : '';
+            return `donkdle_challenge_${this.getChallengeToken()}${versionSuffix}`;
+        }
+        // Archive games share the key of the day they belong to
+        return DonkdleEngine.getDayKey(this.puzzleDate, this.version);
     }
 
     saveGameState() {
         const key = this.getTodayKey();
-        if (!key) return; // Don't save random games
+        if (!key || this.keepSavedGame) return; // Don't save random games, or over a save that wasn't loaded
         
-        const state = {
-            guesses: this.guesses,
-            gameOver: this.gameOver,
-            gameWon: this.gameWon
-        };
-        localStorage.setItem(key, JSON.stringify(state));
+        const state = (this.marathon || this.versus || this.engine).getState();
+        this.storage.setItem(key, JSON.stringify(state));
     }
 
     loadGameState() {
         const key = this.getTodayKey();
         if (!key) return; // Don't load for random games
         
-        const saved = localStorage.getItem(key);
+        this.keepSavedGame = false;
+        if (this.locations.length === 0) {
+            // Nothing loaded (offline, bad dataset), so nothing can be restored or replaced
+            this.keepSavedGame = true;
+            return;
+        }
+        const saved = this.storage.getItem(key);
         if (saved) {
             try {
                 const state = JSON.parse(saved);
-                // Validate that saved guesses have the current feedback structure
-                if (state.guesses && state.guesses.length > 0) {
-                    const firstGuess = state.guesses[0];
-                    if (!firstGuess.feedback || !firstGuess.feedback.moves || !firstGuess.feedback.type) {
-                        // Old format - clear saved state
-                        console.log('Clearing old game format');
-                        localStorage.removeItem(this.getTodayKey());
-                        return;
-                    }
+                // Older formats are migrated and feedback is recomputed from the current dataset
+                const owner = this.marathon || this.versus || this.engine;
+                if (DonkdleEngine.isNewerState(state.current || state)) {
+                    // Saved by a newer version (e.g. in another tab): play on without overwriting it
+                    console.log('Keeping saved game from a newer version');
+                    this.keepSavedGame = true;
+                    this.showMessage(this.t('message.newerSave'), 'error');
+                } else if (!owner.loadState(state)) {
+                    // Its target isn't in this location list: keep it for a list that has it
+                    console.log('Keeping saved game that can\'t be restored with these locations');
+                    this.keepSavedGame = true;
+                    this.showMessage(this.t('message.unrestoredSave'), 'error');
                 }
-                this.guesses = state.guesses || [];
-                this.gameOver = state.gameOver || false;
-                this.gameWon = state.gameWon || false;
             } catch (e) {
                 console.error('Error loading game state:', e);
-                localStorage.removeItem(this.getTodayKey());
+                this.storage.removeItem(this.getTodayKey());
             }
         }
     }
 
-    getStats() {
-        const stats = JSON.parse(localStorage.getItem('donkdle_stats') || '{}');
-        return {
-            played: stats.played || 0,
-            won: stats.won || 0,
-            winPercentage: stats.played ? Math.round((stats.won / stats.played) * 100) : 0,
-            currentStreak: stats.currentStreak || 0,
-            maxStreak: stats.maxStreak || 0
-        };
-    }
-
     updateStats() {
-        const stats = JSON.parse(localStorage.getItem('donkdle_stats') || '{}');
-        const lastPlayed = stats.lastPlayed || '';
-        const today = this.getCSTDate().toDateString();
-
-        // Initialize if needed
-        if (!stats.played) {
-            stats.played = 0;
-            stats.won = 0;
-            stats.currentStreak = 0;
-            stats.maxStreak = 0;
-        }
-
-        // Only update if not already played today
-        if (lastPlayed !== today) {
-            stats.played++;
-            if (this.gameWon) {
-                stats.won++;
-                
-                // Update streak
-                const yesterday = this.getCSTDate();
-                yesterday.setDate(yesterday.getDate() - 1);
-                if (lastPlayed === yesterday.toDateString()) {
-                    stats.currentStreak++;
-                } else {
-                    stats.currentStreak = 1;
-                }
-                
-                stats.maxStreak = Math.max(stats.maxStreak, stats.currentStreak);
-            } else {
-                stats.currentStreak = 0;
-            }
-            
-            stats.lastPlayed = today;
-            localStorage.setItem('donkdle_stats', JSON.stringify(stats));
-        }
+        // Only daily results count; archive and challenge games don't touch the streak.
+        // Returns true if the game set a new personal best time
+        if (this.mode !== 'daily') return false;
+
+        const recorded = this.stats.record({
+            date: this.puzzleDate,
+            version: this.version,
+            hardMode: this.hardMode,
+            guesses: this.guesses.length,
+            won: this.gameWon,
+            targetId: this.targetLocation.id
+        });
+
+        // A day's time counts once, when its result is first recorded, so
+        // reopening a finished game doesn't count it again
+        if (!recorded || !this.gameWon || !this.timedMode || this.engine.startTime === null) return false;
+        return this.stats.recordTime({
+            date: this.puzzleDate,
+            version: this.version,
+            hardMode: this.hardMode,
+            time: this.engine.getElapsed(),
+            guesses: this.guesses.length
+        });
     }
 }
 
@@ -0,0 +1,112 @@
+// Donkdle I18n - string catalogs and locale-aware formatting.
+// Each file in locales/ registers one catalog with DonkdleI18n.register.
+// English is the fallback for anything a catalog doesn't translate.
+if (typeof DonkdleEngine === 'undefined' && typeof require !== 'undefined') {
+    globalThis.DonkdleEngine = require('./engine.js');
+}
+
+class DonkdleI18n {
+    constructor(locale = DonkdleI18n.detectLocale()) {
+        this.setLocale(locale);
+    }
+
+    static register(locale, catalog) {
+        DonkdleI18n.catalogs[locale] = catalog;
+    }
+
+    static detectLocale(storage = typeof localStorage !== 'undefined' ? localStorage : null,
+        languages = typeof navigator !== 'undefined' ? navigator.languages || [navigator.language] : []) {
+        // A saved choice wins, then the first browser language we have a catalog for
+        const saved = storage && storage.getItem('donkdle_locale');
+        if (saved && DonkdleI18n.catalogs[saved]) return saved;
+
+        for (const language of languages) {
+            const base = (language || '').toLowerCase().split('-')[0];
+            if (DonkdleI18n.catalogs[base]) return base;
+        }
+        return DonkdleI18n.DEFAULT_LOCALE;
+    }
+
+    setLocale(locale) {
+        this.locale = DonkdleI18n.catalogs[locale] ? locale : DonkdleI18n.DEFAULT_LOCALE;
+        this.pluralRules = new Intl.PluralRules(this.locale);
+    }
+
+    lookup(locale, key) {
+        // Catalogs are nested objects addressed with dotted keys, e.g. 'message.notFound'
+        let value = DonkdleI18n.catalogs[locale];
+        for (const part of key.split('.')) {
+            if (!value || typeof value !== 'object') return undefined;
+            value = value[part];
+        }
+        return value;
+    }
+
+    has(key) {
+        return this.lookup(this.locale, key) !== undefined ||
+            this.lookup(DonkdleI18n.DEFAULT_LOCALE, key) !== undefined;
+    }
+
+    t(key, params = {}) {
+        // Returns the key itself if no catalog has it, so missing strings are easy to spot
+        let value = this.lookup(this.locale, key);
+        if (value === undefined) value = this.lookup(DonkdleI18n.DEFAULT_LOCALE, key);
+        if (value === undefined) return key;
+
+        // Plural forms: { one, other } picked by params.count
+        if (typeof value === 'object') {
+            value = value[this.pluralRules.select(params.count)] || value.other;
+        }
+        return String(value).replace(/\{(\w+)\}/g, (match, name) =>
+            params[name] !== undefined ? params[name] : match);
+    }
+
+    formatDate(date, options) {
+        return date.toLocaleDateString(this.t('dateLocale'), options);
+    }
+
+    regionName(regionId) {
+        // Region display names: the catalog's table, else the English name from the engine
+        if (this.has(`regions.${regionId}`)) return this.t(`regions.${regionId}`);
+        const region = DonkdleEngine.REGIONS[regionId];
+        return region ? region.name : regionId;
+    }
+
+    translatePage(root = document) {
+        // Static markup marks its strings with data-i18n attributes
+        root.querySelectorAll('[data-i18n]').forEach(el => {
+            el.textContent = this.t(el.dataset.i18n);
+        });
+        root.querySelectorAll('[data-i18n-html]').forEach(el => {
+            el.innerHTML = this.t(el.dataset.i18nHtml);
+        });
+        root.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
+            el.placeholder = this.t(el.dataset.i18nPlaceholder);
+        });
+        root.querySelectorAll('[data-i18n-title]').forEach(el => {
+            el.title = this.t(el.dataset.i18nTitle);
+        });
+        if (root.documentElement) {
+            root.documentElement.lang = this.locale;
+        }
+    }
+
+    setupPicker(select, onChange = () => window.location.reload()) {
+        select.innerHTML = Object.keys(DonkdleI18n.catalogs)
+            .map(locale => `<option value="${locale}">${this.lookup(locale, 'language')}</option>`)
+            .join('');
+        select.value = this.locale;
+        select.addEventListener('change', () => {
+            this.setLocale(select.value);
+            localStorage.setItem('donkdle_locale', this.locale);
+            onChange();
+        });
+    }
+}
+
+DonkdleI18n.catalogs = {};
+DonkdleI18n.DEFAULT_LOCALE = 'en';
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DonkdleI18n;
+}
@@ -0,0 +1,137 @@
+// Donkdle Leaderboard - the friends board: results read from pasted share
+// texts (see share.js), ranked per day and totalled per season (calendar month).
+// Takes a localStorage-like object so it can also run under Node.
+class DonkdleLeaderboard {
+    constructor(storage) {
+        this.storage = storage;
+    }
+
+    static getVariant(entry) {
+        // e.g. 'v1_normal', 'v2_hard', as in DonkdleStats
+        return `v${entry.version === '2' ? '2' : '1'}_${entry.hardMode ? 'hard' : 'normal'}`;
+    }
+
+    static playerKey(name) {
+        // Names are matched however they were capitalised
+        return name.trim().toLowerCase();
+    }
+
+    getEntries() {
+        try {
+            const entries = JSON.parse(this.storage.getItem(DonkdleLeaderboard.STORAGE_KEY));
+            return Array.isArray(entries) ? entries : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    save(entries) {
+        this.storage.setItem(DonkdleLeaderboard.STORAGE_KEY, JSON.stringify(entries));
+    }
+
+    add(player, results) {
+        // A player has one result per day and variant; pasting it again replaces it.
+        // Returns { added, updated }
+        const name = player.trim();
+        const entries = this.getEntries();
+        const report = { added: 0, updated: 0 };
+        for (const result of results) {
+            const entry = {
+                player: name,
+                date: result.date,
+                version: result.version,
+                hardMode: result.hardMode,
+                strictMode: result.strictMode,
+                archive: result.archive,
+                hints: result.hints,
+                won: result.won,
+                guesses: result.guesses,
+                grid: result.grid
+            };
+            const index = entries.findIndex(existing =>
+                DonkdleLeaderboard.playerKey(existing.player) === DonkdleLeaderboard.playerKey(name) && existing.date === entry.date &&
+                DonkdleLeaderboard.getVariant(existing) === DonkdleLeaderboard.getVariant(entry));
+            if (index === -1) {
+                entries.push(entry);
+                report.added++;
+            } else {
+                entries[index] = entry;
+                report.updated++;
+            }
+        }
+        this.save(entries);
+        return report;
+    }
+
+    removePlayer(player) {
+        this.save(this.getEntries().filter(entry =>
+            DonkdleLeaderboard.playerKey(entry.player) !== DonkdleLeaderboard.playerKey(player)));
+    }
+
+    clear() {
+        this.storage.removeItem(DonkdleLeaderboard.STORAGE_KEY);
+    }
+
+    static compare(a, b) {
+        // Wins first, then fewer guesses, then fewer hints
+        return (b.won - a.won) || (a.won ? a.guesses - b.guesses : 0) || (a.hints - b.hints);
+    }
+
+    getDates(variant) {
+        // Days with results, newest first
+        const dates = this.getEntries()
+            .filter(entry => DonkdleLeaderboard.getVariant(entry) === variant)
+            .map(entry => entry.date);
+        return [...new Set(dates)].sort().reverse();
+    }
+
+    getSeasons(variant) {
+        return [...new Set(this.getDates(variant).map(date => date.slice(0, 7)))];
+    }
+
+    getDay(date, variant) {
+        // Ranked results of one day; ties share a rank. Archive replays were
+        // played later, so they're listed after the ranking without a rank.
+        const entries = this.getEntries()
+            .filter(entry => entry.date === date && DonkdleLeaderboard.getVariant(entry) === variant);
+        const ranked = entries.filter(entry => !entry.archive).sort(DonkdleLeaderboard.compare);
+        const replays = entries.filter(entry => entry.archive).sort(DonkdleLeaderboard.compare);
+        return ranked.map((entry, index) => {
+            let rank = index + 1;
+            while (rank > 1 && DonkdleLeaderboard.compare(ranked[rank - 2], entry) === 0) rank--;
+            return { ...entry, rank };
+        }).concat(replays.map(entry => ({ ...entry, rank: null })));
+    }
+
+    getSeason(season, variant) {
+        // One row per player: days played and won, average guesses of wins and
+        // days finished first among the board (ties count for everyone, archive
+        // replays never do)
+        const players = new Map();
+        for (const date of this.getDates(variant).filter(date => date.startsWith(season))) {
+            for (const entry of this.getDay(date, variant)) {
+                const key = DonkdleLeaderboard.playerKey(entry.player);
+                if (!players.has(key)) {
+                    players.set(key, { player: entry.player, played: 0, won: 0, guesses: 0, firsts: 0 });
+                }
+                const row = players.get(key);
+                row.played++;
+                if (entry.won) {
+                    row.won++;
+                    row.guesses += entry.guesses;
+                    if (entry.rank === 1) row.firsts++;
+                }
+            }
+        }
+
+        return [...players.values()]
+            .map(row => ({ ...row, average: row.won > 0 ? row.guesses / row.won : null }))
+            .sort((a, b) => (b.won - a.won) || ((a.average ?? Infinity) - (b.average ?? Infinity)) || (b.firsts - a.firsts));
+    }
+}
+
+DonkdleLeaderboard.STORAGE_KEY = 'donkdle_friends';
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DonkdleLeaderboard;
+}
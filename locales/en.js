@@ -0,0 +1,497 @@
+// English strings. Also the fallback for keys other catalogs leave out.
+// Location, level, kong, type and move names come from the game and aren't translated.
+if (typeof DonkdleI18n === 'undefined' && typeof require !== 'undefined') {
+    globalThis.DonkdleI18n = require('../i18n.js');
+}
+
+DonkdleI18n.register('en', {
+    language: 'English',
+    dateLocale: 'en-US',
+
+    page: {
+        title: 'Donkdle - DK64 Location Wordle',
+        subtitle: 'Guess the DK64 Location!',
+        backToMenu: 'Back to Menu',
+        language: 'Language'
+    },
+
+    menu: {
+        daily: 'Daily Challenge',
+        dailyDescription: 'New puzzle every day',
+        random: 'Random Game',
+        randomDescription: 'Practice with unlimited puzzles',
+        daily2: '2.0 Daily Challenge',
+        daily2Description: 'New format: Kong or Type display',
+        random2: '2.0 Random Game',
+        random2Description: 'Practice with new format',
+        marathon: 'Marathon',
+        marathonDescription: 'Solve as many as you can with 25 guesses',
+        marathon2: '2.0 Marathon',
+        marathon2Description: 'Marathon with the new format',
+        versus: 'Versus',
+        versusDescription: 'Pass-and-play for 2–4 players',
+        practice: 'Practice Drills',
+        practiceDescription: 'Random games from a filtered pool',
+        archive: 'Archive',
+        archiveDescription: 'Replay any past daily puzzle',
+        community: 'Community Datasets',
+        communityDescription: 'Play alternate location lists',
+        friends: 'Friends Board',
+        friendsDescription: 'Rank the results your friends share'
+    },
+
+    header: {
+        howToPlay: 'How to Play',
+        statistics: 'Statistics',
+        challenge: 'Challenge a Friend',
+        hardMode: 'Hard Mode',
+        hardModeTitle: '6 guess limit • No individual move feedback',
+        strictMode: 'Strict Mode',
+        strictModeTitle: 'Every guess must respect the clues revealed so far',
+        timed: 'Timed',
+        timedTitle: 'Clock starts on your first keystroke • Splits for every guess',
+        colorblind: 'Colorblind',
+        colorblindTitle: 'High-contrast colors with ✓ ◆ ✗ marks on the board and in shared results'
+    },
+
+    info: {
+        archive: '📚 Archive • {date}',
+        challenge: '⚔️ Challenge from a friend',
+        drill: {
+            one: '🎯 Drill: {filters} ({count} location)',
+            other: '🎯 Drill: {filters} ({count} locations)'
+        },
+        drillMoves: 'needs {moves}',
+        dataset: {
+            one: '📦 {name} ({count} location)',
+            other: '📦 {name} ({count} locations)'
+        }
+    },
+
+    input: {
+        placeholder: 'Type a location name...',
+        guess: 'Guess',
+        hint: '💡 Hint',
+        hintTitle: 'Reveal one piece of the location'
+    },
+
+    message: {
+        newerSave: 'This game was saved by a newer version of Donkdle. Refresh to update; until then your guesses here aren\'t saved.',
+        unrestoredSave: 'Your saved game for this puzzle needs locations that aren\'t in this list, so it was left as it is. Guesses made here aren\'t saved.',
+        newDaily: 'A new daily puzzle is here!',
+        loadError: 'Error loading game data. Please refresh the page.',
+        invalidChallenge: 'Invalid challenge link. Playing a random location instead.',
+        emptyDrill: 'No locations match this drill. Playing with all locations instead.',
+        datasetError: 'This dataset can\'t be played: {error}',
+        cannotChangeDifficulty: 'Cannot change difficulty mid-game!',
+        cannotChangeStrict: 'Cannot change strict mode mid-game!',
+        cannotChangeTimed: 'Cannot change timed mode mid-game!',
+        hardModeEnabled: 'Hard mode enabled!',
+        hardModeDisabled: 'Hard mode disabled!',
+        strictModeEnabled: 'Strict mode enabled!',
+        strictModeDisabled: 'Strict mode disabled!',
+        timedModeEnabled: 'Timed mode enabled!',
+        timedModeDisabled: 'Timed mode disabled!',
+        colorblindEnabled: 'Colorblind palette enabled!',
+        colorblindDisabled: 'Colorblind palette disabled!',
+        empty: 'Please enter a location name',
+        notFound: 'Location not found. Please select from the list.',
+        duplicate: 'You already guessed this location!',
+        progress: {
+            one: '{count} guess made. Keep trying!',
+            other: '{count} guesses made. Keep trying!'
+        },
+        progressLimited: {
+            one: '{count} guess made ({left} left). Keep trying!',
+            other: '{count} guesses made ({left} left). Keep trying!'
+        },
+        hint: 'Hint: {hint}',
+        copied: 'Results copied to clipboard!',
+        challengeCopied: 'Challenge link copied to clipboard!',
+        copyFailed: 'Failed to copy. Please copy manually.'
+    },
+
+    strict: {
+        violation: 'Strict mode: guess {number} showed {clue}.',
+        region: 'the region is {region}',
+        level: 'the level is {level}',
+        levelAfter: 'the level comes after {level}',
+        levelBefore: 'the level comes before {level}',
+        kong: 'the kong is {value}',
+        type: 'the type is {value}',
+        requirement: {
+            one: 'the location needs {count} move',
+            other: 'the location needs {count} moves'
+        },
+        requirementMore: {
+            one: 'the location needs more than {count} move',
+            other: 'the location needs more than {count} moves'
+        },
+        requirementFewer: {
+            one: 'the location needs fewer than {count} move',
+            other: 'the location needs fewer than {count} moves'
+        },
+        move: '{move} is required',
+        movesExact: 'the moves are exactly {moves}',
+        movesNone: 'none',
+        movesOverlap: 'at least one of {moves} is required'
+    },
+
+    hint: {
+        level: 'Level',
+        kong: 'Kong',
+        type: 'Type',
+        move: 'Requires',
+        region: 'Region'
+    },
+
+    cell: {
+        region: 'REGION',
+        kong: 'KONG',
+        type: 'TYPE',
+        reqs: 'REQS',
+        moves: 'MOVES',
+        none: 'None'
+    },
+
+    autocomplete: {
+        moves: {
+            one: '{count} move',
+            other: '{count} moves'
+        }
+    },
+
+    search: {
+        name: 'Name: {value}',
+        level: 'Level: {value}',
+        region: 'Region: {value}',
+        kong: 'Kong: {value}',
+        type: 'Type: {value}',
+        move: 'Move: {value}',
+        typo: '{reason} (close to "{term}")',
+        alias: '{reason} (from "{term}")'
+    },
+
+    marathon: {
+        status: '🏃 Target {target} • {solved} solved • {left}/{budget} guesses left',
+        over: '🏃 Marathon over • {solved} solved',
+        round: {
+            one: '{result} #{number} {name} • {count} guess',
+            other: '{result} #{number} {name} • {count} guesses'
+        },
+        solved: {
+            one: '✅ Solved {name}! Next target loaded ({count} guess left).',
+            other: '✅ Solved {name}! Next target loaded ({count} guesses left).'
+        },
+        started: 'New marathon started!',
+        title: '🏃 Marathon Over',
+        result: {
+            one: 'You solved {count} target with {budget} guesses!',
+            other: 'You solved {count} targets with {budget} guesses!'
+        },
+        unsolved: 'Unsolved:',
+        place: '🏆 #{place} on your high scores!',
+        highScores: 'High Scores',
+        solvedColumn: 'Solved',
+        dateColumn: 'Date',
+        newRun: 'New Run'
+    },
+
+    versus: {
+        title: '🎮 Versus',
+        intro: 'Take turns guessing the same location on one device. Whoever names it wins the round.',
+        player1: 'Player 1',
+        player2: 'Player 2',
+        player3: 'Player 3 (optional)',
+        player4: 'Player 4 (optional)',
+        turnOrder: 'Turn order',
+        rotate: 'Rotate who starts each round',
+        fixed: 'Same order every round',
+        random: 'Random every round',
+        guessLimit: 'Guesses per player',
+        unlimited: 'Unlimited',
+        start: 'Start Match',
+        namesError: 'Enter {min} to {max} player names.',
+        duplicateNames: 'Every player needs a different name.',
+        turn: "{name}'s turn.",
+        turnLimited: {
+            one: "{name}'s turn ({count} guess left).",
+            other: "{name}'s turn ({count} guesses left)."
+        },
+        passDevice: '{turn} Pass the device!',
+        roundStart: 'Round {round}: {turn}',
+        info: '🎮 Versus',
+        round: '🎮 Round {round}',
+        roundTurn: "🎮 Round {round} • {name}'s turn",
+        score: '{name}: {score}',
+        roundWon: '🏆 {name} wins round {round}!',
+        roundNobody: '🤝 Nobody found it in round {round}',
+        leads: '{name} leads the match.',
+        tied: 'Tied: {names}.',
+        nextRound: 'Next Round',
+        newMatch: 'New Match'
+    },
+
+    gameOver: {
+        challengeTitle: '⚔️ Challenge Complete! ⚔️',
+        challengeMessage: {
+            one: 'You solved the challenge in {count} guess!',
+            other: 'You solved the challenge in {count} guesses!'
+        },
+        wonTitle: '🎉 Congratulations! 🎉',
+        wonMessage: {
+            one: 'You found the location in {count} guess!',
+            other: 'You found the location in {count} guesses!'
+        },
+        lostTitle: '😢 Game Over',
+        lostDaily: 'Better luck tomorrow!',
+        lostOther: 'Better luck next time!',
+        todaysLocation: "Today's Location:",
+        challengeLocation: 'The Challenge Location:',
+        location: 'The Location:',
+        name: 'Name:',
+        region: 'Region:',
+        level: 'Level:',
+        kong: 'Kong:',
+        moveCount: 'Move Count:',
+        moves: 'Moves:',
+        playAgain: 'Play Again',
+        share: '📋 Share Results',
+        viewStats: 'View Statistics'
+    },
+
+    a11y: {
+        close: 'Close',
+        guess: 'Guess {number}: {name}.',
+        guessBy: 'Guess {number} by {player}: {name}.',
+        region: 'Region {value}, {status}.',
+        later: 'The target is in a later level.',
+        earlier: 'The target is in an earlier level.',
+        kong: 'Kong {value}, {status}.',
+        type: 'Type {value}, {status}.',
+        requirement: 'Requirements {value}, {status}.',
+        more: 'The target needs more.',
+        fewer: 'The target needs fewer.',
+        moves: 'Moves {status}.',
+        movesMatching: 'Matching: {moves}.',
+        movesExtra: 'Not needed: {moves}.',
+        correct: 'correct',
+        present: 'partly correct',
+        absent: 'wrong'
+    },
+
+    pwa: {
+        updateAvailable: 'A new version of Donkdle is available.',
+        datasetUpdated: 'New location data is available.',
+        refresh: 'Refresh'
+    },
+
+    timing: {
+        newBest: '🏆 New personal best!',
+        best: 'Personal best: {time}'
+    },
+
+    analysis: {
+        loading: 'Analyzing your guesses...',
+        title: '📈 Game Analysis',
+        guess: 'Guess',
+        left: 'Left',
+        leftTitle: 'Locations consistent with all feedback, before → after this guess',
+        pick: 'Solver Pick',
+        pickTitle: 'Guess with the most expected information',
+        skill: 'Skill',
+        skillTitle: 'Expected information of your guess vs. the solver pick (0-100)',
+        luck: 'Luck',
+        luckTitle: 'How your outcome compares with the other possible outcomes (0-100)',
+        same: '✓ Same'
+    },
+
+    share: {
+        challenge: '⚔️ Challenge',
+        hardMode: '(Hard Mode)',
+        strict: '(Strict)',
+        archive: '(Archive)',
+        hints: {
+            one: '💡{count} hint',
+            other: '💡{count} hints'
+        },
+        drill: '🎯 Drill: {filters}',
+        dataset: '📦 Dataset: {name}',
+        marathon: 'Marathon',
+        marathonScore: '{solved} solved with {budget} guesses',
+        versus: 'Versus',
+        versusScore: {
+            one: 'After {count} round: {scores}',
+            other: 'After {count} rounds: {scores}'
+        }
+    },
+
+    card: {
+        share: '🖼️ Share Image',
+        reveal: 'Show guessed names (spoilers)',
+        normal: 'Normal',
+        hard: 'Hard Mode',
+        strict: 'Strict',
+        downloaded: 'Result image saved!',
+        failed: 'Could not create the result image.'
+    },
+
+    stats: {
+        nextPuzzle: 'Next puzzle in {time}',
+        title: 'Statistics',
+        daily: 'Daily',
+        dailyHard: 'Daily (Hard Mode)',
+        daily2: '2.0 Daily',
+        daily2Hard: '2.0 Daily (Hard Mode)',
+        played: 'Played',
+        winPercentage: 'Win %',
+        currentStreak: 'Current Streak',
+        maxStreak: 'Max Streak',
+        distribution: 'Guess Distribution',
+        legacy: 'Before per-mode stats: {played} played, {percentage}% won, max streak {maxStreak}',
+        backup: 'Backup',
+        backupDescription: 'Move your progress to another browser or device.',
+        export: '⬇️ Export Progress',
+        import: '⬆️ Import Progress',
+        shareTitle: 'Share your result:',
+        copy: '📋 Copy Results'
+    },
+
+    backup: {
+        invalidJson: 'Import failed: the file is not valid JSON.',
+        failed: 'Import failed:',
+        imported: 'Imported {added} new and {updated} updated entries.',
+        conflicts: {
+            one: '{count} conflict:',
+            other: '{count} conflicts:'
+        }
+    },
+
+    challenge: {
+        title: 'Challenge a Friend',
+        intro: 'Pick a location and send the link. Your friend plays it with their own difficulty setting.',
+        copy: '🔗 Copy Challenge Link'
+    },
+
+    help: {
+        title: 'How to Play',
+        intro: 'Guess the DK64 location in 6 tries!',
+        region: `<h3>🗺️ Region / Level</h3>
+                <p><span class="color-box green">Green</span> = Correct hint region</p>
+                <p><span class="color-box yellow">Yellow</span> = Correct level, wrong region</p>
+                <p><span class="color-box Gray">Gray</span> = Incorrect</p>`,
+        levelDirection: `<p class="level-direction-help"><span class="color-box red">Gray ↑</span> = Target is in a later level</p>
+                    <p class="level-direction-help"><span class="color-box red">Gray ↓</span> = Target is in an earlier level</p>
+                    <p class="level-direction-help help-order">Isles → Japes → Aztec → Factory → Galleon → Forest → Caves → Castle → Helm</p>`,
+        kongType: `<h3>🐵 Kong / 🎯 Type</h3>
+                <p>Shows which Kong is needed, or the collectible type if any Kong works</p>
+                <p><span class="color-box green">Green</span> = Correct kong or type</p>
+                <p><span class="color-box Gray">Gray</span> = Wrong kong or type</p>`,
+        kong: `<h3>🐵 Kong</h3>
+                <p><span class="color-box green">Green</span> = Correct kong(s)</p>
+                <p><span class="color-box Gray">Gray</span> = No kong matches</p>`,
+        requirements: `<h3>📋 Requirements</h3>
+                <p><span class="color-box green">Green</span> = Correct number of requirements</p>
+                <p><span class="color-box red">Gray ↑</span> = Actual location needs more items</p>
+                <p><span class="color-box red">Gray ↓</span> = Actual location needs fewer items</p>`,
+        moves: `<h3>🎯 Moves</h3>
+                <p>Shows which moves from your guess match the target:</p>
+                <p><span style="background: rgba(83,141,78,0.5); padding: 2px 6px; border-radius: 3px; color: white;">✓ coconut</span> = This move is correct!</p>
+                <p><span style="background: rgba(129,131,132,0.5); padding: 2px 6px; border-radius: 3px; color: white;">grape</span> = Extra move (target doesn't need this)</p>
+                <p style="margin-top: 10px;"><span class="color-box green">Green</span> = All moves match perfectly</p>
+                <p><span class="color-box yellow">Yellow</span> = Some moves match</p>
+                <p><span class="color-box Gray">Gray</span> = No moves match</p>`,
+        strict: `<h3>🔒 Strict Mode</h3>
+                <p>Every guess must respect the clues revealed so far: keep a green region, level or kong, stay within the ↑/↓ arrows, and keep every ✓ move. Guesses that contradict a clue are rejected.</p>`,
+        timed: `<h3>⏱️ Timed Mode</h3>
+                <p>The clock starts on your first keystroke and stops when the game ends. Each guess records a split, and your fastest daily win is kept as a personal best for each version and difficulty. Your time and splits are included in your shared results.</p>`,
+        marathon: `<h3>🏃 Marathon</h3>
+                <p>Solve as many random locations as you can with 25 guesses shared across the whole run. Each solved location loads the next one right away, and the run ends when the guesses run out. Your best runs are kept as high scores.</p>`,
+        versus: `<h3>🎮 Versus</h3>
+                <p>2–4 players take turns guessing the same location on one device, and everyone sees every clue. Whoever names the location wins the round and scores a point. Choose the turn order and an optional guess limit per player when starting a match.</p>`,
+        hints: `<h3>💡 Hints</h3>
+                <p>Stuck? Each hint reveals one piece of the location: the level, then the kong or type, then one required move at a time, then the region. Hints used are shown in your shared results. Hints are disabled in Hard Mode.</p>`,
+        note: '<strong>Note:</strong> Shop locations are excluded.'
+    },
+
+    archive: {
+        title: 'Donkdle - Archive',
+        subtitle: 'Daily Puzzle Archive',
+        legend: '✅ Solved • ❌ Failed • ▶️ In progress • ⬜ Unplayed',
+        empty: 'No past puzzles yet.'
+    },
+
+    practice: {
+        title: 'Donkdle - Practice Drills',
+        subtitle: 'Practice Drills',
+        intro: 'Pick what to drill. Leave a group empty to allow everything in it. Locations must match one choice from each group and need every selected move.',
+        classic: 'Classic',
+        level: '🗺️ Level',
+        region: '📍 Hint Region',
+        kong: '🐵 Kong',
+        type: '🎯 Type',
+        moves: '🥥 Required Moves',
+        restrict: 'Only suggest locations from this pool while guessing',
+        matching: 'matching locations',
+        start: 'Start Drill',
+        copy: '🔗 Copy Drill Link',
+        noMatch: 'No locations match these filters.',
+        copied: 'Drill link copied to clipboard!'
+    },
+
+    community: {
+        title: 'Donkdle - Community Datasets',
+        subtitle: 'Community Datasets',
+        intro: 'Play an alternate location list. Pick a JSON file in the same format as <code>locations_data.json</code>, or link to one on this site with <code>game.html?dataset=path/to/list.json</code>. Each dataset keeps its own saved games and stats.',
+        choose: '📂 Choose Dataset File',
+        none: 'No datasets added yet.',
+        count: {
+            one: '{count} location',
+            other: '{count} locations'
+        },
+        warnings: {
+            one: '{count} validator warning',
+            other: '{count} validator warnings'
+        },
+        daily: '📅 Daily',
+        random: '🎲 Random',
+        marathon: '🏃 Marathon',
+        remove: '🗑️ Remove',
+        added: 'Added "{name}".'
+    },
+    friends: {
+        title: 'Donkdle - Friends Board',
+        subtitle: 'Friends Board',
+        intro: 'Paste the share texts your friends send you to rank their daily results. Only texts from the daily and archive modes can be compared. Texts that were cut off or changed by accident are turned away, but results aren\'t verified against the puzzle, so the board trusts your friends. Everything stays on this device.',
+        player: 'Player name',
+        paste: 'Paste one or more share texts...',
+        add: 'Add Results',
+        needName: 'Enter whose results these are first.',
+        added: {
+            one: 'Added {count} result for {name}.',
+            other: 'Added {count} results for {name}.'
+        },
+        rejected: {
+            one: '{count} share text was rejected',
+            other: '{count} share texts were rejected'
+        },
+        normal: 'Normal',
+        hard: 'Hard',
+        day: 'Daily Results',
+        season: 'Season',
+        none: 'No results for this mode yet.',
+        playerColumn: 'Player',
+        resultColumn: 'Result',
+        hintsColumn: 'Hints',
+        gridColumn: 'Grid',
+        playedColumn: 'Played',
+        wonColumn: 'Won',
+        averageColumn: 'Avg. Guesses',
+        archive: 'archive',
+        strict: 'strict',
+        remove: 'Remove player',
+        confirmRemove: 'Remove every result of {name}?',
+        clear: '🗑️ Clear Board',
+        confirmClear: 'Remove every result from the board?'
+    }
+});
@@ -0,0 +1,544 @@
+// Spanish strings
+if (typeof DonkdleI18n === 'undefined' && typeof require !== 'undefined') {
+    globalThis.DonkdleI18n = require('../i18n.js');
+}
+
+DonkdleI18n.register('es', {
+    language: 'Español',
+    dateLocale: 'es-ES',
+
+    page: {
+        title: 'Donkdle - El Wordle de ubicaciones de DK64',
+        subtitle: '¡Adivina la ubicación de DK64!',
+        backToMenu: 'Volver al menú',
+        language: 'Idioma'
+    },
+
+    menu: {
+        daily: 'Reto diario',
+        dailyDescription: 'Un puzle nuevo cada día',
+        random: 'Partida aleatoria',
+        randomDescription: 'Practica con puzles ilimitados',
+        daily2: 'Reto diario 2.0',
+        daily2Description: 'Nuevo formato: muestra Kong o Tipo',
+        random2: 'Partida aleatoria 2.0',
+        random2Description: 'Practica con el nuevo formato',
+        marathon: 'Maratón',
+        marathonDescription: 'Resuelve todas las que puedas con 25 intentos',
+        marathon2: 'Maratón 2.0',
+        marathon2Description: 'Maratón con el nuevo formato',
+        versus: 'Versus',
+        versusDescription: 'Por turnos para 2–4 jugadores',
+        practice: 'Entrenamientos',
+        practiceDescription: 'Partidas aleatorias de un grupo filtrado',
+        archive: 'Archivo',
+        archiveDescription: 'Vuelve a jugar cualquier reto diario pasado',
+        community: 'Listas de la comunidad',
+        communityDescription: 'Juega con otras listas de ubicaciones',
+        friends: 'Tabla de amigos',
+        friendsDescription: 'Clasifica los resultados que comparten tus amigos'
+    },
+
+    header: {
+        howToPlay: 'Cómo jugar',
+        statistics: 'Estadísticas',
+        challenge: 'Reta a un amigo',
+        hardMode: 'Modo difícil',
+        hardModeTitle: 'Límite de 6 intentos • Sin pistas de cada movimiento',
+        strictMode: 'Modo estricto',
+        strictModeTitle: 'Cada intento debe respetar las pistas reveladas hasta ahora',
+        timed: 'Cronometrado',
+        timedTitle: 'El reloj empieza con tu primera tecla • Parciales en cada intento',
+        colorblind: 'Daltónico',
+        colorblindTitle: 'Colores de alto contraste con marcas ✓ ◆ ✗ en el tablero y al compartir'
+    },
+
+    info: {
+        archive: '📚 Archivo • {date}',
+        challenge: '⚔️ Reto de un amigo',
+        drill: {
+            one: '🎯 Entrenamiento: {filters} ({count} ubicación)',
+            other: '🎯 Entrenamiento: {filters} ({count} ubicaciones)'
+        },
+        drillMoves: 'requiere {moves}',
+        dataset: {
+            one: '📦 {name} ({count} ubicación)',
+            other: '📦 {name} ({count} ubicaciones)'
+        }
+    },
+
+    input: {
+        placeholder: 'Escribe el nombre de una ubicación...',
+        guess: 'Adivinar',
+        hint: '💡 Pista',
+        hintTitle: 'Revela una parte de la ubicación'
+    },
+
+    message: {
+        newerSave: 'Esta partida se guardó con una versión más nueva de Donkdle. Recarga para actualizar; hasta entonces tus intentos aquí no se guardan.',
+        unrestoredSave: 'Tu partida guardada de este puzle necesita ubicaciones que no están en esta lista, así que se dejó como estaba. Los intentos que hagas aquí no se guardan.',
+        newDaily: '¡Ya hay un nuevo puzle diario!',
+        loadError: 'Error al cargar los datos del juego. Recarga la página.',
+        invalidChallenge: 'Enlace de reto no válido. Se juega una ubicación aleatoria.',
+        emptyDrill: 'Ninguna ubicación coincide con este entrenamiento. Se juega con todas las ubicaciones.',
+        datasetError: 'No se puede jugar con esta lista: {error}',
+        cannotChangeDifficulty: '¡No se puede cambiar la dificultad a mitad de partida!',
+        cannotChangeStrict: '¡No se puede cambiar el modo estricto a mitad de partida!',
+        cannotChangeTimed: '¡No se puede cambiar el modo cronometrado a mitad de partida!',
+        hardModeEnabled: '¡Modo difícil activado!',
+        hardModeDisabled: '¡Modo difícil desactivado!',
+        strictModeEnabled: '¡Modo estricto activado!',
+        strictModeDisabled: '¡Modo estricto desactivado!',
+        timedModeEnabled: '¡Modo cronometrado activado!',
+        timedModeDisabled: '¡Modo cronometrado desactivado!',
+        colorblindEnabled: '¡Paleta para daltónicos activada!',
+        colorblindDisabled: '¡Paleta para daltónicos desactivada!',
+        empty: 'Escribe el nombre de una ubicación',
+        notFound: 'Ubicación no encontrada. Elige una de la lista.',
+        duplicate: '¡Ya has probado esta ubicación!',
+        progress: {
+            one: '{count} intento hecho. ¡Sigue intentándolo!',
+            other: '{count} intentos hechos. ¡Sigue intentándolo!'
+        },
+        progressLimited: {
+            one: '{count} intento hecho (quedan {left}). ¡Sigue intentándolo!',
+            other: '{count} intentos hechos (quedan {left}). ¡Sigue intentándolo!'
+        },
+        hint: 'Pista: {hint}',
+        copied: '¡Resultados copiados al portapapeles!',
+        challengeCopied: '¡Enlace del reto copiado al portapapeles!',
+        copyFailed: 'No se pudo copiar. Cópialo manualmente.'
+    },
+
+    strict: {
+        violation: 'Modo estricto: el intento {number} mostró que {clue}.',
+        region: 'la región es {region}',
+        level: 'el nivel es {level}',
+        levelAfter: 'el nivel va después de {level}',
+        levelBefore: 'el nivel va antes de {level}',
+        kong: 'el kong es {value}',
+        type: 'el tipo es {value}',
+        requirement: {
+            one: 'la ubicación requiere {count} movimiento',
+            other: 'la ubicación requiere {count} movimientos'
+        },
+        requirementMore: {
+            one: 'la ubicación requiere más de {count} movimiento',
+            other: 'la ubicación requiere más de {count} movimientos'
+        },
+        requirementFewer: {
+            one: 'la ubicación requiere menos de {count} movimiento',
+            other: 'la ubicación requiere menos de {count} movimientos'
+        },
+        move: '{move} es necesario',
+        movesExact: 'los movimientos son exactamente {moves}',
+        movesNone: 'ninguno',
+        movesOverlap: 'se necesita al menos uno de {moves}'
+    },
+
+    hint: {
+        level: 'Nivel',
+        kong: 'Kong',
+        type: 'Tipo',
+        move: 'Requiere',
+        region: 'Región'
+    },
+
+    cell: {
+        region: 'REGIÓN',
+        kong: 'KONG',
+        type: 'TIPO',
+        reqs: 'REQS',
+        moves: 'MOVIM.',
+        none: 'Ninguno'
+    },
+
+    autocomplete: {
+        moves: {
+            one: '{count} movimiento',
+            other: '{count} movimientos'
+        }
+    },
+
+    search: {
+        name: 'Nombre: {value}',
+        level: 'Nivel: {value}',
+        region: 'Región: {value}',
+        kong: 'Kong: {value}',
+        type: 'Tipo: {value}',
+        move: 'Movimiento: {value}',
+        typo: '{reason} (parecido a "{term}")',
+        alias: '{reason} (por "{term}")'
+    },
+
+    marathon: {
+        status: '🏃 Objetivo {target} • {solved} resueltas • quedan {left}/{budget} intentos',
+        over: '🏃 Maratón terminado • {solved} resueltas',
+        round: {
+            one: '{result} #{number} {name} • {count} intento',
+            other: '{result} #{number} {name} • {count} intentos'
+        },
+        solved: {
+            one: '✅ ¡{name} resuelta! Siguiente objetivo cargado (queda {count} intento).',
+            other: '✅ ¡{name} resuelta! Siguiente objetivo cargado (quedan {count} intentos).'
+        },
+        started: '¡Nuevo maratón iniciado!',
+        title: '🏃 Fin del maratón',
+        result: {
+            one: '¡Resolviste {count} objetivo con {budget} intentos!',
+            other: '¡Resolviste {count} objetivos con {budget} intentos!'
+        },
+        unsolved: 'Sin resolver:',
+        place: '🏆 ¡Puesto #{place} en tus récords!',
+        highScores: 'Récords',
+        solvedColumn: 'Resueltas',
+        dateColumn: 'Fecha',
+        newRun: 'Nuevo maratón'
+    },
+
+    versus: {
+        title: '🎮 Versus',
+        intro: 'Por turnos, adivinad la misma ubicación en un solo dispositivo. Quien la nombre gana la ronda.',
+        player1: 'Jugador 1',
+        player2: 'Jugador 2',
+        player3: 'Jugador 3 (opcional)',
+        player4: 'Jugador 4 (opcional)',
+        turnOrder: 'Orden de turnos',
+        rotate: 'Rotar quién empieza cada ronda',
+        fixed: 'Mismo orden cada ronda',
+        random: 'Aleatorio cada ronda',
+        guessLimit: 'Intentos por jugador',
+        unlimited: 'Ilimitados',
+        start: 'Empezar partida',
+        namesError: 'Escribe entre {min} y {max} nombres de jugadores.',
+        duplicateNames: 'Cada jugador necesita un nombre distinto.',
+        turn: 'Turno de {name}.',
+        turnLimited: {
+            one: 'Turno de {name} (queda {count} intento).',
+            other: 'Turno de {name} (quedan {count} intentos).'
+        },
+        passDevice: '{turn} ¡Pasa el dispositivo!',
+        roundStart: 'Ronda {round}: {turn}',
+        info: '🎮 Versus',
+        round: '🎮 Ronda {round}',
+        roundTurn: '🎮 Ronda {round} • Turno de {name}',
+        score: '{name}: {score}',
+        roundWon: '🏆 ¡{name} gana la ronda {round}!',
+        roundNobody: '🤝 Nadie la encontró en la ronda {round}',
+        leads: '{name} va ganando la partida.',
+        tied: 'Empate: {names}.',
+        nextRound: 'Siguiente ronda',
+        newMatch: 'Nueva partida'
+    },
+
+    gameOver: {
+        challengeTitle: '⚔️ ¡Reto completado! ⚔️',
+        challengeMessage: {
+            one: '¡Resolviste el reto en {count} intento!',
+            other: '¡Resolviste el reto en {count} intentos!'
+        },
+        wonTitle: '🎉 ¡Enhorabuena! 🎉',
+        wonMessage: {
+            one: '¡Encontraste la ubicación en {count} intento!',
+            other: '¡Encontraste la ubicación en {count} intentos!'
+        },
+        lostTitle: '😢 Fin de la partida',
+        lostDaily: '¡Más suerte mañana!',
+        lostOther: '¡Más suerte la próxima vez!',
+        todaysLocation: 'La ubicación de hoy:',
+        challengeLocation: 'La ubicación del reto:',
+        location: 'La ubicación:',
+        name: 'Nombre:',
+        region: 'Región:',
+        level: 'Nivel:',
+        kong: 'Kong:',
+        moveCount: 'Nº de movimientos:',
+        moves: 'Movimientos:',
+        playAgain: 'Jugar otra vez',
+        share: '📋 Compartir resultados',
+        viewStats: 'Ver estadísticas'
+    },
+
+    a11y: {
+        close: 'Cerrar',
+        guess: 'Intento {number}: {name}.',
+        guessBy: 'Intento {number} de {player}: {name}.',
+        region: 'Región {value}, {status}.',
+        later: 'El objetivo está en un nivel posterior.',
+        earlier: 'El objetivo está en un nivel anterior.',
+        kong: 'Kong {value}, {status}.',
+        type: 'Tipo {value}, {status}.',
+        requirement: 'Requisitos {value}, {status}.',
+        more: 'El objetivo necesita más.',
+        fewer: 'El objetivo necesita menos.',
+        moves: 'Movimientos: {status}.',
+        movesMatching: 'Coinciden: {moves}.',
+        movesExtra: 'No necesarios: {moves}.',
+        correct: 'correcto',
+        present: 'parcialmente correcto',
+        absent: 'incorrecto'
+    },
+
+    pwa: {
+        updateAvailable: 'Hay una nueva versión de Donkdle.',
+        datasetUpdated: 'Hay nuevos datos de ubicaciones.',
+        refresh: 'Actualizar'
+    },
+
+    timing: {
+        newBest: '🏆 ¡Nuevo récord personal!',
+        best: 'Récord personal: {time}'
+    },
+
+    analysis: {
+        loading: 'Analizando tus intentos...',
+        title: '📈 Análisis de la partida',
+        guess: 'Intento',
+        left: 'Quedan',
+        leftTitle: 'Ubicaciones compatibles con todas las pistas, antes → después de este intento',
+        pick: 'Elección del solver',
+        pickTitle: 'El intento con más información esperada',
+        skill: 'Habilidad',
+        skillTitle: 'Información esperada de tu intento frente a la elección del solver (0-100)',
+        luck: 'Suerte',
+        luckTitle: 'Cómo se compara tu resultado con los otros resultados posibles (0-100)',
+        same: '✓ Igual'
+    },
+
+    share: {
+        challenge: '⚔️ Reto',
+        hardMode: '(Modo difícil)',
+        strict: '(Estricto)',
+        archive: '(Archivo)',
+        hints: {
+            one: '💡{count} pista',
+            other: '💡{count} pistas'
+        },
+        drill: '🎯 Entrenamiento: {filters}',
+        dataset: '📦 Lista: {name}',
+        marathon: 'Maratón',
+        marathonScore: '{solved} resueltas con {budget} intentos',
+        versus: 'Versus',
+        versusScore: {
+            one: 'Tras {count} ronda: {scores}',
+            other: 'Tras {count} rondas: {scores}'
+        }
+    },
+
+    card: {
+        share: '🖼️ Compartir imagen',
+        reveal: 'Mostrar los nombres adivinados (spoilers)',
+        normal: 'Normal',
+        hard: 'Modo difícil',
+        strict: 'Estricto',
+        downloaded: '¡Imagen del resultado guardada!',
+        failed: 'No se pudo crear la imagen del resultado.'
+    },
+
+    stats: {
+        nextPuzzle: 'Siguiente puzle en {time}',
+        title: 'Estadísticas',
+        daily: 'Diario',
+        dailyHard: 'Diario (Modo difícil)',
+        daily2: 'Diario 2.0',
+        daily2Hard: 'Diario 2.0 (Modo difícil)',
+        played: 'Jugadas',
+        winPercentage: '% Victorias',
+        currentStreak: 'Racha actual',
+        maxStreak: 'Mejor racha',
+        distribution: 'Distribución de intentos',
+        legacy: 'Antes de las estadísticas por modo: {played} jugadas, {percentage}% ganadas, mejor racha {maxStreak}',
+        backup: 'Copia de seguridad',
+        backupDescription: 'Lleva tu progreso a otro navegador o dispositivo.',
+        export: '⬇️ Exportar progreso',
+        import: '⬆️ Importar progreso',
+        shareTitle: 'Comparte tu resultado:',
+        copy: '📋 Copiar resultados'
+    },
+
+    backup: {
+        invalidJson: 'Error al importar: el archivo no es JSON válido.',
+        failed: 'Error al importar:',
+        imported: 'Importadas {added} entradas nuevas y {updated} actualizadas.',
+        conflicts: {
+            one: '{count} conflicto:',
+            other: '{count} conflictos:'
+        }
+    },
+
+    challenge: {
+        title: 'Reta a un amigo',
+        intro: 'Elige una ubicación y envía el enlace. Tu amigo la juega con su propia dificultad.',
+        copy: '🔗 Copiar enlace del reto'
+    },
+
+    help: {
+        title: 'Cómo jugar',
+        intro: '¡Adivina la ubicación de DK64 en 6 intentos!',
+        region: `<h3>🗺️ Región / Nivel</h3>
+                <p><span class="color-box green">Verde</span> = Región correcta</p>
+                <p><span class="color-box yellow">Amarillo</span> = Nivel correcto, región incorrecta</p>
+                <p><span class="color-box Gray">Gris</span> = Incorrecto</p>`,
+        levelDirection: `<p class="level-direction-help"><span class="color-box red">Gris ↑</span> = El objetivo está en un nivel posterior</p>
+                    <p class="level-direction-help"><span class="color-box red">Gris ↓</span> = El objetivo está en un nivel anterior</p>
+                    <p class="level-direction-help help-order">Isles → Japes → Aztec → Factory → Galleon → Forest → Caves → Castle → Helm</p>`,
+        kongType: `<h3>🐵 Kong / 🎯 Tipo</h3>
+                <p>Muestra qué Kong hace falta, o el tipo de objeto si sirve cualquier Kong</p>
+                <p><span class="color-box green">Verde</span> = Kong o tipo correcto</p>
+                <p><span class="color-box Gray">Gris</span> = Kong o tipo incorrecto</p>`,
+        kong: `<h3>🐵 Kong</h3>
+                <p><span class="color-box green">Verde</span> = Kong(s) correcto(s)</p>
+                <p><span class="color-box Gray">Gris</span> = Ningún kong coincide</p>`,
+        requirements: `<h3>📋 Requisitos</h3>
+                <p><span class="color-box green">Verde</span> = Número de requisitos correcto</p>
+                <p><span class="color-box red">Gris ↑</span> = La ubicación real requiere más</p>
+                <p><span class="color-box red">Gris ↓</span> = La ubicación real requiere menos</p>`,
+        moves: `<h3>🎯 Movimientos</h3>
+                <p>Muestra qué movimientos de tu intento coinciden con el objetivo:</p>
+                <p><span style="background: rgba(83,141,78,0.5); padding: 2px 6px; border-radius: 3px; color: white;">✓ coconut</span> = ¡Este movimiento es correcto!</p>
+                <p><span style="background: rgba(129,131,132,0.5); padding: 2px 6px; border-radius: 3px; color: white;">grape</span> = Movimiento de más (el objetivo no lo necesita)</p>
+                <p style="margin-top: 10px;"><span class="color-box green">Verde</span> = Todos los movimientos coinciden</p>
+                <p><span class="color-box yellow">Amarillo</span> = Algunos movimientos coinciden</p>
+                <p><span class="color-box Gray">Gris</span> = Ningún movimiento coincide</p>`,
+        strict: `<h3>🔒 Modo estricto</h3>
+                <p>Cada intento debe respetar las pistas reveladas: mantén la región, el nivel o el kong en verde, quédate dentro de las flechas ↑/↓ y conserva cada movimiento ✓. Los intentos que contradicen una pista se rechazan.</p>`,
+        timed: `<h3>⏱️ Modo cronometrado</h3>
+                <p>El reloj empieza con tu primera tecla y se para al terminar la partida. Cada intento guarda un parcial, y tu victoria diaria más rápida queda como récord personal para cada versión y dificultad. Tu tiempo y tus parciales se incluyen al compartir.</p>`,
+        marathon: `<h3>🏃 Maratón</h3>
+                <p>Resuelve todas las ubicaciones aleatorias que puedas con 25 intentos compartidos en todo el maratón. Cada ubicación resuelta carga la siguiente al instante, y el maratón termina cuando se acaban los intentos. Tus mejores maratones se guardan como récords.</p>`,
+        versus: `<h3>🎮 Versus</h3>
+                <p>De 2 a 4 jugadores se turnan para adivinar la misma ubicación en un solo dispositivo, y todos ven todas las pistas. Quien nombra la ubicación gana la ronda y suma un punto. Al empezar una partida elige el orden de turnos y, si quieres, un límite de intentos por jugador.</p>`,
+        hints: `<h3>💡 Pistas</h3>
+                <p>¿Atascado? Cada pista revela una parte de la ubicación: el nivel, luego el kong o el tipo, luego un movimiento necesario cada vez y por último la región. Las pistas usadas aparecen al compartir. Las pistas no están disponibles en el modo difícil.</p>`,
+        note: '<strong>Nota:</strong> Las ubicaciones de tiendas están excluidas.'
+    },
+
+    archive: {
+        title: 'Donkdle - Archivo',
+        subtitle: 'Archivo de retos diarios',
+        legend: '✅ Resuelto • ❌ Fallado • ▶️ En curso • ⬜ Sin jugar',
+        empty: 'Aún no hay retos pasados.'
+    },
+
+    practice: {
+        title: 'Donkdle - Entrenamientos',
+        subtitle: 'Entrenamientos',
+        intro: 'Elige qué entrenar. Deja un grupo vacío para permitirlo todo. Las ubicaciones deben coincidir con una opción de cada grupo y requerir todos los movimientos elegidos.',
+        classic: 'Clásico',
+        level: '🗺️ Nivel',
+        region: '📍 Región',
+        kong: '🐵 Kong',
+        type: '🎯 Tipo',
+        moves: '🥥 Movimientos necesarios',
+        restrict: 'Sugerir solo ubicaciones de este grupo al adivinar',
+        matching: 'ubicaciones coinciden',
+        start: 'Empezar entrenamiento',
+        copy: '🔗 Copiar enlace del entrenamiento',
+        noMatch: 'Ninguna ubicación coincide con estos filtros.',
+        copied: '¡Enlace del entrenamiento copiado al portapapeles!'
+    },
+
+    community: {
+        title: 'Donkdle - Listas de la comunidad',
+        subtitle: 'Listas de la comunidad',
+        intro: 'Juega con otra lista de ubicaciones. Elige un archivo JSON con el mismo formato que <code>locations_data.json</code>, o enlaza uno de este sitio con <code>game.html?dataset=ruta/a/lista.json</code>. Cada lista guarda sus propias partidas y estadísticas.',
+        choose: '📂 Elegir archivo de lista',
+        none: 'Aún no has añadido ninguna lista.',
+        count: {
+            one: '{count} ubicación',
+            other: '{count} ubicaciones'
+        },
+        warnings: {
+            one: '{count} aviso del validador',
+            other: '{count} avisos del validador'
+        },
+        daily: '📅 Diario',
+        random: '🎲 Aleatorio',
+        marathon: '🏃 Maratón',
+        remove: '🗑️ Quitar',
+        added: 'Se añadió "{name}".'
+    },
+
+    // Hint region display names. Names from the game itself stay in English.
+    regions: {
+        Mainisles: 'Islas principales',
+        Outerisles: 'Islas exteriores',
+        Kremisles: 'Islas Krem',
+        Earlylobbies: 'Vestíbulos iniciales',
+        Latelobbies: 'Vestíbulos finales',
+        Japescbs: 'CBs de Japes',
+        Hillside: 'Ladera',
+        Lowlands: 'Tierras bajas',
+        Hivetunnel: 'Túnel de la colmena',
+        Stormytunnel: 'Túnel tormentoso',
+        Cavesandmines: 'Cuevas y minas',
+        Azteccbs: 'CBs de Aztec',
+        Aztectunnels: 'Túneles de Aztec',
+        Oasisandtotem: 'Oasis y tótem',
+        Tinytemple: 'Templo de Tiny',
+        Fivedoortemple: 'Templo de las cinco puertas',
+        Llamatemple: 'Templo de la llama',
+        Factorycbs: 'CBs de Factory',
+        Storage: 'Almacén',
+        Testing: 'Pruebas',
+        Productionroom: 'Sala de producción',
+        Researchanddevelopment: 'I+D',
+        Galleoncbs: 'CBs de Galleon',
+        Galleoncaverns: 'Cavernas de Galleon',
+        Lighthouse: 'Faro',
+        Shipyardoutskirts: 'Afueras del astillero',
+        Treasureroom: 'Sala del tesoro',
+        Fivedoorship: 'Barco de las cinco puertas',
+        Forestcbs: 'CBs de Forest',
+        Forestcenterandbeanstalk: 'Centro y planta de judías',
+        Mushroomexterior: 'Exterior del champiñón',
+        Mushroominterior: 'Interior del champiñón',
+        Mills: 'Molinos',
+        Owltree: 'Árbol del búho',
+        Cavescbs: 'CBs de Caves',
+        Maincaves: 'Cuevas principales',
+        Igloo: 'Iglú',
+        Cabins: 'Cabañas',
+        Castlecbs: 'CBs de Castle',
+        Castlerooms: 'Salas del castillo',
+        Castlesurroundings: 'Alrededores del castillo',
+        Castleunderground: 'Subterráneo del castillo',
+        Helm: 'Helm',
+        Jetpac: 'Jetpac'
+    },
+    friends: {
+        title: 'Donkdle - Tabla de amigos',
+        subtitle: 'Tabla de amigos',
+        intro: 'Pega los textos que te comparten tus amigos para clasificar sus resultados diarios. Solo se pueden comparar los textos de los modos diario y archivo. Se rechazan los textos cortados o cambiados por accidente, pero los resultados no se verifican con el puzle, así que la clasificación confía en tus amigos. Todo se queda en este dispositivo.',
+        player: 'Nombre del jugador',
+        paste: 'Pega uno o más textos compartidos...',
+        add: 'Añadir resultados',
+        needName: 'Indica primero de quién son estos resultados.',
+        added: {
+            one: 'Se añadió {count} resultado de {name}.',
+            other: 'Se añadieron {count} resultados de {name}.'
+        },
+        rejected: {
+            one: 'Se rechazó {count} texto compartido',
+            other: 'Se rechazaron {count} textos compartidos'
+        },
+        normal: 'Normal',
+        hard: 'Difícil',
+        day: 'Resultados diarios',
+        season: 'Temporada',
+        none: 'Aún no hay resultados para este modo.',
+        playerColumn: 'Jugador',
+        resultColumn: 'Resultado',
+        hintsColumn: 'Pistas',
+        gridColumn: 'Cuadrícula',
+        playedColumn: 'Jugadas',
+        wonColumn: 'Ganadas',
+        averageColumn: 'Media de intentos',
+        archive: 'archivo',
+        strict: 'estricto',
+        remove: 'Quitar jugador',
+        confirmRemove: '¿Quitar todos los resultados de {name}?',
+        clear: '🗑️ Vaciar tabla',
+        confirmClear: '¿Quitar todos los resultados de la tabla?'
+    }
+});
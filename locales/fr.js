@@ -0,0 +1,544 @@
+// French strings
+if (typeof DonkdleI18n === 'undefined' && typeof require !== 'undefined') {
+    globalThis.DonkdleI18n = require('../i18n.js');
+}
+
+DonkdleI18n.register('fr', {
+    language: 'Français',
+    dateLocale: 'fr-FR',
+
+    page: {
+        title: 'Donkdle - Le Wordle des emplacements de DK64',
+        subtitle: 'Devinez l\'emplacement de DK64 !',
+        backToMenu: 'Retour au menu',
+        language: 'Langue'
+    },
+
+    menu: {
+        daily: 'Défi du jour',
+        dailyDescription: 'Une nouvelle énigme chaque jour',
+        random: 'Partie aléatoire',
+        randomDescription: 'Entraînez-vous sans limite',
+        daily2: 'Défi du jour 2.0',
+        daily2Description: 'Nouveau format : affiche le Kong ou le Type',
+        random2: 'Partie aléatoire 2.0',
+        random2Description: 'Entraînez-vous avec le nouveau format',
+        marathon: 'Marathon',
+        marathonDescription: 'Résolvez-en le plus possible avec 25 essais',
+        marathon2: 'Marathon 2.0',
+        marathon2Description: 'Marathon avec le nouveau format',
+        versus: 'Versus',
+        versusDescription: 'Chacun son tour, de 2 à 4 joueurs',
+        practice: 'Entraînements',
+        practiceDescription: 'Parties aléatoires parmi une sélection filtrée',
+        archive: 'Archives',
+        archiveDescription: 'Rejouez n\'importe quel défi du jour passé',
+        community: 'Listes de la communauté',
+        communityDescription: 'Jouez avec d\'autres listes d\'emplacements',
+        friends: 'Classement entre amis',
+        friendsDescription: 'Classez les résultats partagés par vos amis'
+    },
+
+    header: {
+        howToPlay: 'Comment jouer',
+        statistics: 'Statistiques',
+        challenge: 'Défier un ami',
+        hardMode: 'Mode difficile',
+        hardModeTitle: 'Limite de 6 essais • Pas d\'indice par capacité',
+        strictMode: 'Mode strict',
+        strictModeTitle: 'Chaque essai doit respecter les indices révélés jusqu\'ici',
+        timed: 'Chronométré',
+        timedTitle: 'Le chrono démarre à la première touche • Temps intermédiaire à chaque essai',
+        colorblind: 'Daltonien',
+        colorblindTitle: 'Couleurs à fort contraste avec des marques ✓ ◆ ✗ sur la grille et dans le partage'
+    },
+
+    info: {
+        archive: '📚 Archives • {date}',
+        challenge: '⚔️ Défi d\'un ami',
+        drill: {
+            one: '🎯 Entraînement : {filters} ({count} emplacement)',
+            other: '🎯 Entraînement : {filters} ({count} emplacements)'
+        },
+        drillMoves: 'nécessite {moves}',
+        dataset: {
+            one: '📦 {name} ({count} emplacement)',
+            other: '📦 {name} ({count} emplacements)'
+        }
+    },
+
+    input: {
+        placeholder: 'Tapez le nom d\'un emplacement...',
+        guess: 'Deviner',
+        hint: '💡 Indice',
+        hintTitle: 'Révèle une partie de l\'emplacement'
+    },
+
+    message: {
+        newerSave: 'Cette partie a été enregistrée par une version plus récente de Donkdle. Actualisez pour mettre à jour ; d\'ici là, vos essais ici ne sont pas enregistrés.',
+        unrestoredSave: 'Votre partie enregistrée pour ce puzzle utilise des emplacements absents de cette liste, elle a donc été laissée telle quelle. Les essais faits ici ne sont pas enregistrés.',
+        newDaily: 'Un nouveau puzzle du jour est arrivé !',
+        loadError: 'Impossible de charger les données du jeu. Rechargez la page.',
+        invalidChallenge: 'Lien de défi invalide. Emplacement aléatoire à la place.',
+        emptyDrill: 'Aucun emplacement ne correspond à cet entraînement. Partie avec tous les emplacements.',
+        datasetError: 'Impossible de jouer avec cette liste : {error}',
+        cannotChangeDifficulty: 'Impossible de changer la difficulté en cours de partie !',
+        cannotChangeStrict: 'Impossible de changer le mode strict en cours de partie !',
+        cannotChangeTimed: 'Impossible de changer le mode chronométré en cours de partie !',
+        hardModeEnabled: 'Mode difficile activé !',
+        hardModeDisabled: 'Mode difficile désactivé !',
+        strictModeEnabled: 'Mode strict activé !',
+        strictModeDisabled: 'Mode strict désactivé !',
+        timedModeEnabled: 'Mode chronométré activé !',
+        timedModeDisabled: 'Mode chronométré désactivé !',
+        colorblindEnabled: 'Palette daltonien activée !',
+        colorblindDisabled: 'Palette daltonien désactivée !',
+        empty: 'Veuillez saisir le nom d\'un emplacement',
+        notFound: 'Emplacement introuvable. Choisissez-en un dans la liste.',
+        duplicate: 'Vous avez déjà essayé cet emplacement !',
+        progress: {
+            one: '{count} essai effectué. Continuez !',
+            other: '{count} essais effectués. Continuez !'
+        },
+        progressLimited: {
+            one: '{count} essai effectué ({left} restants). Continuez !',
+            other: '{count} essais effectués ({left} restants). Continuez !'
+        },
+        hint: 'Indice : {hint}',
+        copied: 'Résultats copiés dans le presse-papiers !',
+        challengeCopied: 'Lien du défi copié dans le presse-papiers !',
+        copyFailed: 'Copie impossible. Copiez manuellement.'
+    },
+
+    strict: {
+        violation: 'Mode strict : l\'essai {number} a montré que {clue}.',
+        region: 'la région est {region}',
+        level: 'le niveau est {level}',
+        levelAfter: 'le niveau vient après {level}',
+        levelBefore: 'le niveau vient avant {level}',
+        kong: 'le kong est {value}',
+        type: 'le type est {value}',
+        requirement: {
+            one: 'l\'emplacement nécessite {count} capacité',
+            other: 'l\'emplacement nécessite {count} capacités'
+        },
+        requirementMore: {
+            one: 'l\'emplacement nécessite plus de {count} capacité',
+            other: 'l\'emplacement nécessite plus de {count} capacités'
+        },
+        requirementFewer: {
+            one: 'l\'emplacement nécessite moins de {count} capacité',
+            other: 'l\'emplacement nécessite moins de {count} capacités'
+        },
+        move: '{move} est nécessaire',
+        movesExact: 'les capacités sont exactement {moves}',
+        movesNone: 'aucune',
+        movesOverlap: 'au moins une capacité parmi {moves} est nécessaire'
+    },
+
+    hint: {
+        level: 'Niveau',
+        kong: 'Kong',
+        type: 'Type',
+        move: 'Nécessite',
+        region: 'Région'
+    },
+
+    cell: {
+        region: 'RÉGION',
+        kong: 'KONG',
+        type: 'TYPE',
+        reqs: 'REQS',
+        moves: 'CAPAC.',
+        none: 'Aucune'
+    },
+
+    autocomplete: {
+        moves: {
+            one: '{count} capacité',
+            other: '{count} capacités'
+        }
+    },
+
+    search: {
+        name: 'Nom : {value}',
+        level: 'Niveau : {value}',
+        region: 'Région : {value}',
+        kong: 'Kong : {value}',
+        type: 'Type : {value}',
+        move: 'Capacité : {value}',
+        typo: '{reason} (proche de « {term} »)',
+        alias: '{reason} (via « {term} »)'
+    },
+
+    marathon: {
+        status: '🏃 Cible {target} • {solved} résolues • {left}/{budget} essais restants',
+        over: '🏃 Marathon terminé • {solved} résolues',
+        round: {
+            one: '{result} #{number} {name} • {count} essai',
+            other: '{result} #{number} {name} • {count} essais'
+        },
+        solved: {
+            one: '✅ {name} résolu ! Cible suivante chargée ({count} essai restant).',
+            other: '✅ {name} résolu ! Cible suivante chargée ({count} essais restants).'
+        },
+        started: 'Nouveau marathon lancé !',
+        title: '🏃 Fin du marathon',
+        result: {
+            one: 'Vous avez résolu {count} cible avec {budget} essais !',
+            other: 'Vous avez résolu {count} cibles avec {budget} essais !'
+        },
+        unsolved: 'Non résolu :',
+        place: '🏆 Place n°{place} de vos meilleurs scores !',
+        highScores: 'Meilleurs scores',
+        solvedColumn: 'Résolues',
+        dateColumn: 'Date',
+        newRun: 'Nouveau marathon'
+    },
+
+    versus: {
+        title: '🎮 Versus',
+        intro: 'Devinez le même emplacement chacun votre tour sur un seul appareil. Celui qui le trouve gagne la manche.',
+        player1: 'Joueur 1',
+        player2: 'Joueur 2',
+        player3: 'Joueur 3 (facultatif)',
+        player4: 'Joueur 4 (facultatif)',
+        turnOrder: 'Ordre de passage',
+        rotate: 'Changer de premier joueur à chaque manche',
+        fixed: 'Même ordre à chaque manche',
+        random: 'Aléatoire à chaque manche',
+        guessLimit: 'Essais par joueur',
+        unlimited: 'Illimités',
+        start: 'Lancer la partie',
+        namesError: 'Saisissez entre {min} et {max} noms de joueurs.',
+        duplicateNames: 'Chaque joueur doit avoir un nom différent.',
+        turn: 'Au tour de {name}.',
+        turnLimited: {
+            one: 'Au tour de {name} ({count} essai restant).',
+            other: 'Au tour de {name} ({count} essais restants).'
+        },
+        passDevice: '{turn} Passez l\'appareil !',
+        roundStart: 'Manche {round} : {turn}',
+        info: '🎮 Versus',
+        round: '🎮 Manche {round}',
+        roundTurn: '🎮 Manche {round} • Au tour de {name}',
+        score: '{name} : {score}',
+        roundWon: '🏆 {name} gagne la manche {round} !',
+        roundNobody: '🤝 Personne n\'a trouvé lors de la manche {round}',
+        leads: '{name} mène la partie.',
+        tied: 'Égalité : {names}.',
+        nextRound: 'Manche suivante',
+        newMatch: 'Nouvelle partie'
+    },
+
+    gameOver: {
+        challengeTitle: '⚔️ Défi relevé ! ⚔️',
+        challengeMessage: {
+            one: 'Vous avez relevé le défi en {count} essai !',
+            other: 'Vous avez relevé le défi en {count} essais !'
+        },
+        wonTitle: '🎉 Félicitations ! 🎉',
+        wonMessage: {
+            one: 'Vous avez trouvé l\'emplacement en {count} essai !',
+            other: 'Vous avez trouvé l\'emplacement en {count} essais !'
+        },
+        lostTitle: '😢 Partie terminée',
+        lostDaily: 'Plus de chance demain !',
+        lostOther: 'Plus de chance la prochaine fois !',
+        todaysLocation: 'L\'emplacement du jour :',
+        challengeLocation: 'L\'emplacement du défi :',
+        location: 'L\'emplacement :',
+        name: 'Nom :',
+        region: 'Région :',
+        level: 'Niveau :',
+        kong: 'Kong :',
+        moveCount: 'Nombre de capacités :',
+        moves: 'Capacités :',
+        playAgain: 'Rejouer',
+        share: '📋 Partager les résultats',
+        viewStats: 'Voir les statistiques'
+    },
+
+    a11y: {
+        close: 'Fermer',
+        guess: 'Essai {number} : {name}.',
+        guessBy: 'Essai {number} de {player} : {name}.',
+        region: 'Région {value}, {status}.',
+        later: 'La cible est dans un niveau suivant.',
+        earlier: 'La cible est dans un niveau précédent.',
+        kong: 'Kong {value}, {status}.',
+        type: 'Type {value}, {status}.',
+        requirement: 'Prérequis {value}, {status}.',
+        more: 'La cible en demande plus.',
+        fewer: 'La cible en demande moins.',
+        moves: 'Capacités : {status}.',
+        movesMatching: 'Correspondent : {moves}.',
+        movesExtra: 'Inutiles : {moves}.',
+        correct: 'correct',
+        present: 'partiellement correct',
+        absent: 'incorrect'
+    },
+
+    pwa: {
+        updateAvailable: 'Une nouvelle version de Donkdle est disponible.',
+        datasetUpdated: 'De nouvelles données d\'emplacements sont disponibles.',
+        refresh: 'Actualiser'
+    },
+
+    timing: {
+        newBest: '🏆 Nouveau record personnel !',
+        best: 'Record personnel : {time}'
+    },
+
+    analysis: {
+        loading: 'Analyse de vos essais...',
+        title: '📈 Analyse de la partie',
+        guess: 'Essai',
+        left: 'Restants',
+        leftTitle: 'Emplacements compatibles avec tous les indices, avant → après cet essai',
+        pick: 'Choix du solveur',
+        pickTitle: 'L\'essai apportant le plus d\'information attendue',
+        skill: 'Talent',
+        skillTitle: 'Information attendue de votre essai par rapport au choix du solveur (0-100)',
+        luck: 'Chance',
+        luckTitle: 'Comment votre résultat se compare aux autres résultats possibles (0-100)',
+        same: '✓ Identique'
+    },
+
+    share: {
+        challenge: '⚔️ Défi',
+        hardMode: '(Mode difficile)',
+        strict: '(Strict)',
+        archive: '(Archives)',
+        hints: {
+            one: '💡{count} indice',
+            other: '💡{count} indices'
+        },
+        drill: '🎯 Entraînement : {filters}',
+        dataset: '📦 Liste : {name}',
+        marathon: 'Marathon',
+        marathonScore: '{solved} résolues avec {budget} essais',
+        versus: 'Versus',
+        versusScore: {
+            one: 'Après {count} manche : {scores}',
+            other: 'Après {count} manches : {scores}'
+        }
+    },
+
+    card: {
+        share: '🖼️ Partager l\'image',
+        reveal: 'Afficher les noms devinés (spoilers)',
+        normal: 'Normal',
+        hard: 'Mode difficile',
+        strict: 'Strict',
+        downloaded: 'Image du résultat enregistrée !',
+        failed: 'Impossible de créer l\'image du résultat.'
+    },
+
+    stats: {
+        nextPuzzle: 'Prochain puzzle dans {time}',
+        title: 'Statistiques',
+        daily: 'Quotidien',
+        dailyHard: 'Quotidien (Mode difficile)',
+        daily2: 'Quotidien 2.0',
+        daily2Hard: 'Quotidien 2.0 (Mode difficile)',
+        played: 'Parties',
+        winPercentage: '% Victoires',
+        currentStreak: 'Série actuelle',
+        maxStreak: 'Meilleure série',
+        distribution: 'Répartition des essais',
+        legacy: 'Avant les statistiques par mode : {played} parties, {percentage} % gagnées, meilleure série {maxStreak}',
+        backup: 'Sauvegarde',
+        backupDescription: 'Transférez votre progression vers un autre navigateur ou appareil.',
+        export: '⬇️ Exporter la progression',
+        import: '⬆️ Importer la progression',
+        shareTitle: 'Partagez votre résultat :',
+        copy: '📋 Copier les résultats'
+    },
+
+    backup: {
+        invalidJson: 'Échec de l\'import : le fichier n\'est pas un JSON valide.',
+        failed: 'Échec de l\'import :',
+        imported: '{added} nouvelles entrées importées, {updated} mises à jour.',
+        conflicts: {
+            one: '{count} conflit :',
+            other: '{count} conflits :'
+        }
+    },
+
+    challenge: {
+        title: 'Défier un ami',
+        intro: 'Choisissez un emplacement et envoyez le lien. Votre ami le joue avec sa propre difficulté.',
+        copy: '🔗 Copier le lien du défi'
+    },
+
+    help: {
+        title: 'Comment jouer',
+        intro: 'Devinez l\'emplacement de DK64 en 6 essais !',
+        region: `<h3>🗺️ Région / Niveau</h3>
+                <p><span class="color-box green">Vert</span> = Bonne région</p>
+                <p><span class="color-box yellow">Jaune</span> = Bon niveau, mauvaise région</p>
+                <p><span class="color-box Gray">Gris</span> = Incorrect</p>`,
+        levelDirection: `<p class="level-direction-help"><span class="color-box red">Gris ↑</span> = La cible est dans un niveau suivant</p>
+                    <p class="level-direction-help"><span class="color-box red">Gris ↓</span> = La cible est dans un niveau précédent</p>
+                    <p class="level-direction-help help-order">Isles → Japes → Aztec → Factory → Galleon → Forest → Caves → Castle → Helm</p>`,
+        kongType: `<h3>🐵 Kong / 🎯 Type</h3>
+                <p>Indique le Kong requis, ou le type d'objet si n'importe quel Kong convient</p>
+                <p><span class="color-box green">Vert</span> = Bon Kong ou bon type</p>
+                <p><span class="color-box Gray">Gris</span> = Mauvais Kong ou mauvais type</p>`,
+        kong: `<h3>🐵 Kong</h3>
+                <p><span class="color-box green">Vert</span> = Bon(s) kong(s)</p>
+                <p><span class="color-box Gray">Gris</span> = Aucun kong ne correspond</p>`,
+        requirements: `<h3>📋 Prérequis</h3>
+                <p><span class="color-box green">Vert</span> = Bon nombre de prérequis</p>
+                <p><span class="color-box red">Gris ↑</span> = L'emplacement réel en demande plus</p>
+                <p><span class="color-box red">Gris ↓</span> = L'emplacement réel en demande moins</p>`,
+        moves: `<h3>🎯 Capacités</h3>
+                <p>Montre quelles capacités de votre essai correspondent à la cible :</p>
+                <p><span style="background: rgba(83,141,78,0.5); padding: 2px 6px; border-radius: 3px; color: white;">✓ coconut</span> = Cette capacité est correcte !</p>
+                <p><span style="background: rgba(129,131,132,0.5); padding: 2px 6px; border-radius: 3px; color: white;">grape</span> = Capacité en trop (inutile pour la cible)</p>
+                <p style="margin-top: 10px;"><span class="color-box green">Vert</span> = Toutes les capacités correspondent</p>
+                <p><span class="color-box yellow">Jaune</span> = Certaines capacités correspondent</p>
+                <p><span class="color-box Gray">Gris</span> = Aucune capacité ne correspond</p>`,
+        strict: `<h3>🔒 Mode strict</h3>
+                <p>Chaque essai doit respecter les indices révélés : gardez la région, le niveau ou le kong en vert, restez dans les flèches ↑/↓ et conservez chaque capacité ✓. Les essais qui contredisent un indice sont refusés.</p>`,
+        timed: `<h3>⏱️ Mode chronométré</h3>
+                <p>Le chrono démarre à votre première touche et s'arrête à la fin de la partie. Chaque essai enregistre un temps intermédiaire, et votre victoire quotidienne la plus rapide devient votre record personnel pour chaque version et difficulté. Votre temps et vos intermédiaires sont inclus dans le partage.</p>`,
+        marathon: `<h3>🏃 Marathon</h3>
+                <p>Résolvez le plus d'emplacements aléatoires possible avec 25 essais partagés sur tout le marathon. Chaque emplacement résolu charge aussitôt le suivant, et le marathon s'arrête quand les essais sont épuisés. Vos meilleurs marathons sont gardés comme meilleurs scores.</p>`,
+        versus: `<h3>🎮 Versus</h3>
+                <p>De 2 à 4 joueurs devinent chacun leur tour le même emplacement sur un seul appareil, et tout le monde voit tous les indices. Celui qui trouve l'emplacement gagne la manche et marque un point. Choisissez l'ordre de passage et, si vous voulez, une limite d'essais par joueur au début de la partie.</p>`,
+        hints: `<h3>💡 Indices</h3>
+                <p>Bloqué ? Chaque indice révèle une partie de l'emplacement : le niveau, puis le kong ou le type, puis une capacité requise à la fois, et enfin la région. Les indices utilisés apparaissent dans le partage. Les indices ne sont pas disponibles en mode difficile.</p>`,
+        note: '<strong>Remarque :</strong> Les emplacements de boutiques sont exclus.'
+    },
+
+    archive: {
+        title: 'Donkdle - Archives',
+        subtitle: 'Archives des défis du jour',
+        legend: '✅ Résolu • ❌ Raté • ▶️ En cours • ⬜ Pas joué',
+        empty: 'Pas encore de défis passés.'
+    },
+
+    practice: {
+        title: 'Donkdle - Entraînements',
+        subtitle: 'Entraînements',
+        intro: 'Choisissez quoi travailler. Laissez un groupe vide pour tout autoriser. Les emplacements doivent correspondre à une option de chaque groupe et nécessiter toutes les capacités choisies.',
+        classic: 'Classique',
+        level: '🗺️ Niveau',
+        region: '📍 Région',
+        kong: '🐵 Kong',
+        type: '🎯 Type',
+        moves: '🥥 Capacités requises',
+        restrict: 'Ne proposer que les emplacements de cette sélection',
+        matching: 'emplacements correspondants',
+        start: 'Lancer l\'entraînement',
+        copy: '🔗 Copier le lien de l\'entraînement',
+        noMatch: 'Aucun emplacement ne correspond à ces filtres.',
+        copied: 'Lien de l\'entraînement copié dans le presse-papiers !'
+    },
+
+    community: {
+        title: 'Donkdle - Listes de la communauté',
+        subtitle: 'Listes de la communauté',
+        intro: 'Jouez avec une autre liste d\'emplacements. Choisissez un fichier JSON au même format que <code>locations_data.json</code>, ou liez-en un de ce site avec <code>game.html?dataset=chemin/vers/liste.json</code>. Chaque liste garde ses propres parties et statistiques.',
+        choose: '📂 Choisir un fichier de liste',
+        none: 'Aucune liste ajoutée pour l\'instant.',
+        count: {
+            one: '{count} emplacement',
+            other: '{count} emplacements'
+        },
+        warnings: {
+            one: '{count} avertissement du validateur',
+            other: '{count} avertissements du validateur'
+        },
+        daily: '📅 Du jour',
+        random: '🎲 Aléatoire',
+        marathon: '🏃 Marathon',
+        remove: '🗑️ Retirer',
+        added: '« {name} » ajoutée.'
+    },
+
+    // Hint region display names. Names from the game itself stay in English.
+    regions: {
+        Mainisles: 'Îles principales',
+        Outerisles: 'Îles extérieures',
+        Kremisles: 'Îles Krem',
+        Earlylobbies: 'Premiers halls',
+        Latelobbies: 'Derniers halls',
+        Japescbs: 'CB de Japes',
+        Hillside: 'Colline',
+        Lowlands: 'Plaines',
+        Hivetunnel: 'Tunnel de la ruche',
+        Stormytunnel: 'Tunnel orageux',
+        Cavesandmines: 'Grottes et mines',
+        Azteccbs: 'CB d\'Aztec',
+        Aztectunnels: 'Tunnels d\'Aztec',
+        Oasisandtotem: 'Oasis et totem',
+        Tinytemple: 'Temple de Tiny',
+        Fivedoortemple: 'Temple aux cinq portes',
+        Llamatemple: 'Temple du lama',
+        Factorycbs: 'CB de Factory',
+        Storage: 'Entrepôt',
+        Testing: 'Essais',
+        Productionroom: 'Salle de production',
+        Researchanddevelopment: 'R&D',
+        Galleoncbs: 'CB de Galleon',
+        Galleoncaverns: 'Cavernes de Galleon',
+        Lighthouse: 'Phare',
+        Shipyardoutskirts: 'Abords du chantier naval',
+        Treasureroom: 'Salle du trésor',
+        Fivedoorship: 'Navire aux cinq portes',
+        Forestcbs: 'CB de Forest',
+        Forestcenterandbeanstalk: 'Centre et haricot magique',
+        Mushroomexterior: 'Extérieur du champignon',
+        Mushroominterior: 'Intérieur du champignon',
+        Mills: 'Moulins',
+        Owltree: 'Arbre du hibou',
+        Cavescbs: 'CB de Caves',
+        Maincaves: 'Grottes principales',
+        Igloo: 'Igloo',
+        Cabins: 'Cabanes',
+        Castlecbs: 'CB de Castle',
+        Castlerooms: 'Salles du château',
+        Castlesurroundings: 'Abords du château',
+        Castleunderground: 'Souterrains du château',
+        Helm: 'Helm',
+        Jetpac: 'Jetpac'
+    },
+    friends: {
+        title: 'Donkdle - Classement entre amis',
+        subtitle: 'Classement entre amis',
+        intro: 'Collez les textes que vos amis vous partagent pour classer leurs résultats quotidiens. Seuls les textes des modes quotidien et archives peuvent être comparés. Les textes coupés ou modifiés par accident sont refusés, mais les résultats ne sont pas vérifiés avec le puzzle : le classement fait confiance à vos amis. Tout reste sur cet appareil.',
+        player: 'Nom du joueur',
+        paste: 'Collez un ou plusieurs textes partagés...',
+        add: 'Ajouter les résultats',
+        needName: 'Indiquez d\'abord à qui sont ces résultats.',
+        added: {
+            one: '{count} résultat ajouté pour {name}.',
+            other: '{count} résultats ajoutés pour {name}.'
+        },
+        rejected: {
+            one: '{count} texte partagé a été refusé',
+            other: '{count} textes partagés ont été refusés'
+        },
+        normal: 'Normal',
+        hard: 'Difficile',
+        day: 'Résultats du jour',
+        season: 'Saison',
+        none: 'Pas encore de résultats pour ce mode.',
+        playerColumn: 'Joueur',
+        resultColumn: 'Résultat',
+        hintsColumn: 'Indices',
+        gridColumn: 'Grille',
+        playedColumn: 'Jouées',
+        wonColumn: 'Gagnées',
+        averageColumn: 'Essais moy.',
+        archive: 'archives',
+        strict: 'strict',
+        remove: 'Retirer le joueur',
+        confirmRemove: 'Retirer tous les résultats de {name} ?',
+        clear: '🗑️ Vider le classement',
+        confirmClear: 'Retirer tous les résultats du classement ?'
+    }
+});
@@ -0,0 +1,121 @@
+// Donkdle Marathon - a chain of random targets sharing one guess budget.
+// Drives a DonkdleEngine: solving a target loads the next one straight
+// away, and the run ends when the budget is used up.
+if (typeof DonkdleEngine === 'undefined' && typeof require !== 'undefined') {
+    globalThis.DonkdleEngine = require('./engine.js');
+}
+
+class DonkdleMarathon {
+    constructor(engine, budget = DonkdleMarathon.BUDGET) {
+        this.engine = engine;
+        this.budget = budget;
+        this.rounds = [];
+        this.over = false;
+    }
+
+    get guessesUsed() {
+        return this.rounds.reduce((sum, round) => sum + round.guesses.length, 0) +
+            (this.over ? 0 : this.engine.guesses.length);
+    }
+
+    get guessesLeft() {
+        return this.budget - this.guessesUsed;
+    }
+
+    get score() {
+        return this.rounds.filter(round => round.won).length;
+    }
+
+    hasStarted() {
+        return this.rounds.length > 0 || this.engine.guesses.length > 0;
+    }
+
+    start(random = Math.random, pool = this.engine.locations) {
+        this.rounds = [];
+        this.over = false;
+        this.nextTarget(random, pool);
+    }
+
+    nextTarget(random = Math.random, pool = this.engine.locations) {
+        // Targets don't repeat within a run until the pool runs out
+        const played = new Set(this.rounds.map(round => round.target.id));
+        const fresh = pool.filter(loc => !played.has(loc.id));
+
+        this.engine.reset();
+        // The shared budget replaces the per-game guess limit
+        this.engine.maxGuesses = this.guessesLeft;
+        return this.engine.selectRandomLocation(random, fresh.length > 0 ? fresh : pool);
+    }
+
+    makeGuess(locationName, random = Math.random, pool = this.engine.locations) {
+        // Same results as DonkdleEngine.makeGuess, plus { solved: round }
+        // when the guess finished a target and the run goes on
+        const result = this.engine.makeGuess(locationName);
+        if (result.error || !this.engine.gameOver) return result;
+
+        const round = {
+            target: this.engine.targetLocation,
+            guesses: this.engine.guesses,
+            won: this.engine.gameWon
+        };
+        this.rounds.push(round);
+
+        if (round.won && this.guessesLeft > 0) {
+            this.nextTarget(random, pool);
+            result.solved = round;
+        } else {
+            // The engine keeps the last board so it can still be shown
+            this.over = true;
+        }
+        return result;
+    }
+
+    // Saved state
+
+    getState() {
+        // Finished rounds are saved as ids like the engine's own state
+        return {
+            budget: this.budget,
+            rounds: this.rounds.map(round => ({
+                targetId: round.target.id,
+                guesses: round.guesses.map(DonkdleEngine.packGuess),
+                won: round.won
+            })),
+            over: this.over,
+            targetId: this.engine.targetLocation ? this.engine.targetLocation.id : null,
+            current: this.engine.getState()
+        };
+    }
+
+    loadState(state) {
+        // Returns false if the run can't be restored (e.g. a target left the dataset)
+        const target = this.engine.findLocationById(state.targetId);
+        if (!target || !Array.isArray(state.rounds)) return false;
+
+        // Older saves stored whole locations instead of ids
+        const roundTargets = state.rounds.map(round =>
+            this.engine.findLocationById(round.targetId || (round.target && round.target.id)));
+        if (roundTargets.includes(null)) return false;
+
+        this.engine.setTarget(target);
+        if (!this.engine.loadState(state.current || {})) return false;
+        this.budget = state.budget || DonkdleMarathon.BUDGET;
+        // Feedback is recomputed once the engine has the run's difficulty back
+        this.rounds = state.rounds.map((round, index) => {
+            const guesses = (round.guesses || []).map(guess => guess.location ? DonkdleEngine.packGuess(guess) : guess);
+            return { target: roundTargets[index], guesses: this.engine.unpackGuesses(guesses, roundTargets[index]), won: round.won };
+        });
+        this.over = state.over || false;
+        if (!this.over) {
+            this.engine.maxGuesses = this.guessesLeft + this.engine.guesses.length;
+        }
+        return true;
+    }
+}
+
+// Guesses shared across the whole run
+DonkdleMarathon.BUDGET = 25;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DonkdleMarathon;
+}
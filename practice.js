@@ -0,0 +1,126 @@
+// Donkdle Practice - builds filtered random-mode drills
+class DonkdlePractice {
+    constructor() {
+        this.i18n = new DonkdleI18n();
+        this.locations = [];
+        this.init();
+    }
+
+    async init() {
+        this.i18n.translatePage();
+        this.i18n.setupPicker(document.getElementById('languagePicker'), () => {
+            // Rebuilding the chips would clear them, so keep the current choices
+            const filters = this.getFilters();
+            this.i18n.translatePage();
+            this.renderFilters();
+            document.querySelectorAll('#practiceFilters input').forEach(input => {
+                input.checked = filters[input.dataset.filter].includes(input.value);
+            });
+        });
+
+        try {
+            const response = await fetch('locations_data.json');
+            this.locations = DonkdleEngine.filterLocations(await response.json());
+        } catch (error) {
+            console.error('Error loading locations:', error);
+            this.showMessage(this.i18n.t('message.loadError'), 'error');
+        }
+
+        this.renderFilters();
+        this.setupEventListeners();
+        this.updateCount();
+    }
+
+    renderFilters() {
+        const groups = [
+            { key: 'levels', title: this.i18n.t('practice.level'), options: DonkdleEngine.LEVELS.map(level => [level, level]) },
+            {
+                key: 'regions',
+                title: this.i18n.t('practice.region'),
+                options: Object.entries(DonkdleEngine.REGIONS)
+                    .filter(([, region]) => DonkdleEngine.LEVELS.includes(region.level))
+                    .map(([id]) => [id, this.i18n.regionName(id)])
+            },
+            { key: 'kongs', title: this.i18n.t('practice.kong'), options: DonkdleEngine.KONGS.map(kong => [kong, kong]) },
+            { key: 'types', title: this.i18n.t('practice.type'), options: DonkdleEngine.TYPES.map(type => [type, type]) },
+            { key: 'moves', title: this.i18n.t('practice.moves'), options: DonkdleEngine.MOVES.map(move => [move, move]) }
+        ];
+
+        document.getElementById('practiceFilters').innerHTML = groups.map(group => `
+            <div class="practice-group">
+                <h3>${group.title}</h3>
+                <div class="practice-chips">
+                    ${group.options.map(([value, label]) => `
+                        <label class="practice-chip">
+                            <input type="checkbox" data-filter="${group.key}" value="${value}">
+                            <span>${label}</span>
+                        </label>
+                    `).join('')}
+                </div>
+            </div>
+        `).join('');
+    }
+
+    setupEventListeners() {
+        document.getElementById('practiceFilters').addEventListener('change', () => this.updateCount());
+        document.getElementById('startDrillBtn').addEventListener('click', () => {
+            if (this.getPool().length === 0) {
+                this.showMessage(this.i18n.t('practice.noMatch'), 'error');
+                return;
+            }
+            window.location.href = this.getDrillUrl();
+        });
+        document.getElementById('copyDrillBtn').addEventListener('click', () => {
+            const url = new URL(this.getDrillUrl(), window.location.href).href;
+            navigator.clipboard.writeText(url).then(() => {
+                this.showMessage(this.i18n.t('practice.copied'), 'success');
+            }).catch(() => {
+                this.showMessage(url, 'info');
+            });
+        });
+    }
+
+    getFilters() {
+        const filters = { levels: [], regions: [], kongs: [], types: [], moves: [] };
+        document.querySelectorAll('#practiceFilters input:checked').forEach(input => {
+            filters[input.dataset.filter].push(input.value);
+        });
+        filters.restrictGuesses = document.getElementById('restrictGuesses').checked;
+        return filters;
+    }
+
+    getPool() {
+        return DonkdleEngine.filterPool(this.locations, this.getFilters());
+    }
+
+    getDrillUrl() {
+        const params = DonkdleEngine.filtersToParams(this.getFilters());
+        params.set('mode', 'random');
+        if (document.querySelector('input[name="practiceVersion"]:checked').value === '2') {
+            params.set('version', '2');
+        }
+        return `game.html?${params.toString()}`;
+    }
+
+    updateCount() {
+        const count = this.getPool().length;
+        document.getElementById('poolCount').textContent = count;
+        document.getElementById('startDrillBtn').disabled = count === 0;
+    }
+
+    showMessage(text, type = 'info') {
+        const message = document.getElementById('message');
+        message.textContent = text;
+        message.className = `message ${type}`;
+
+        setTimeout(() => {
+            message.textContent = '';
+            message.className = 'message';
+        }, 3000);
+    }
+}
+
+// Initialize practice setup when page loads
+document.addEventListener('DOMContentLoaded', () => {
+    new DonkdlePractice();
+});
@@ -0,0 +1,72 @@
+// Donkdle PWA - registers the service worker (sw.js) and offers a refresh
+// when a new version of the site or the dataset has been downloaded.
+class DonkdlePWA {
+    constructor() {
+        this.refreshing = false;
+        this.register();
+    }
+
+    async register() {
+        let registration;
+        try {
+            registration = await navigator.serviceWorker.register('sw.js');
+        } catch (e) {
+            console.warn('Service worker registration failed:', e);
+            return;
+        }
+
+        // A new version finished installing in an earlier visit
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            this.showUpdate('pwa.updateAvailable', () => registration.waiting.postMessage({ type: 'skip-waiting' }));
+        }
+
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker.addEventListener('statechange', () => {
+                // The first install has nothing to replace, so only prompt on updates
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    this.showUpdate('pwa.updateAvailable', () => worker.postMessage({ type: 'skip-waiting' }));
+                }
+            });
+        });
+
+        // Reload once the new version has taken over
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (this.refreshing) return;
+            this.refreshing = true;
+            window.location.reload();
+        });
+
+        navigator.serviceWorker.addEventListener('message', (e) => {
+            if (e.data && e.data.type === 'dataset-updated') {
+                this.showUpdate('pwa.datasetUpdated', () => window.location.reload());
+            }
+        });
+    }
+
+    showUpdate(messageKey, onRefresh) {
+        const i18n = new DonkdleI18n();
+        let banner = document.getElementById('updateBanner');
+        if (banner) banner.remove();
+
+        banner = document.createElement('div');
+        banner.id = 'updateBanner';
+        banner.className = 'update-banner';
+        banner.setAttribute('role', 'alert');
+        banner.innerHTML = `
+            <span>${i18n.t(messageKey)}</span>
+            <button type="button" class="update-refresh">${i18n.t('pwa.refresh')}</button>
+            <button type="button" class="update-dismiss" title="${i18n.t('a11y.close')}">&times;</button>
+        `;
+        banner.querySelector('.update-refresh').addEventListener('click', onRefresh);
+        banner.querySelector('.update-dismiss').addEventListener('click', () => banner.remove());
+        document.body.appendChild(banner);
+    }
+}
+
+// Service workers need http(s); opening the files directly just skips offline support
+if ('serviceWorker' in navigator) {
+    window.addEventListener('load', () => {
+        new DonkdlePWA();
+    });
+}
@@ -0,0 +1,196 @@
+// Donkdle Search - typo-tolerant location search for the autocomplete.
+// The index is built once per dataset: every word of a location's name,
+// level, region, kong, type and moves points back at the locations using it,
+// so a query scores each distinct word once instead of every location.
+if (typeof DonkdleEngine === 'undefined' && typeof require !== 'undefined') {
+    globalThis.DonkdleEngine = require('./engine.js');
+}
+
+class DonkdleSearch {
+    constructor(locations, regionName = id => (DonkdleEngine.REGIONS[id] || { name: id }).name) {
+        this.locations = locations;
+        // word -> [{ index, field, value }]
+        this.vocabulary = new Map();
+        // Typing repeats earlier terms on every keystroke
+        this.termCache = new Map();
+
+        locations.forEach((loc, index) => {
+            DonkdleSearch.words(loc.name).forEach(([word, original]) => this.add(word, index, 'name', original));
+            this.addText(loc.level, index, 'level');
+
+            // Regions can be searched by their shown name and their English one
+            const regionNames = new Set([regionName(loc.hint_region)]);
+            if (DonkdleEngine.REGIONS[loc.hint_region]) regionNames.add(DonkdleEngine.REGIONS[loc.hint_region].name);
+            regionNames.forEach(name => this.addText(name, index, 'region', regionName(loc.hint_region)));
+
+            loc.kong.split(',').map(kong => kong.trim())
+                .filter(kong => kong !== 'Any')
+                .forEach(kong => this.addText(kong, index, 'kong'));
+
+            // RainbowCoin is found by "rainbowcoin", "rainbow" and "coin"
+            this.addText(`${loc.type} ${loc.type.replace(/([a-z])([A-Z])/g, '$1 $2')}`, index, 'type', loc.type);
+            (loc.moves || []).forEach(move => this.addText(move, index, 'move'));
+        });
+    }
+
+    static words(text) {
+        // [lowercase word, word as written] pairs
+        return (text.match(/[A-Za-z0-9&]+/g) || []).map(word => [word.toLowerCase(), word]);
+    }
+
+    add(word, index, field, value) {
+        if (!this.vocabulary.has(word)) this.vocabulary.set(word, []);
+        const postings = this.vocabulary.get(word);
+        if (!postings.some(p => p.index === index && p.field === field && p.value === value)) {
+            postings.push({ index, field, value });
+        }
+    }
+
+    addText(text, index, field, value = text) {
+        DonkdleSearch.words(text).forEach(([word]) => this.add(word, index, field, value));
+    }
+
+    static editDistance(a, b) {
+        // Optimal string alignment distance: insertions, deletions,
+        // substitutions and swaps of neighbouring letters cost 1 each
+        const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+        for (let j = 1; j <= b.length; j++) d[0][j] = j;
+        for (let i = 1; i <= a.length; i++) {
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+                }
+            }
+        }
+        return d[a.length][b.length];
+    }
+
+    static matchWord(term, word) {
+        // Returns { score, kind } or null
+        if (word === term) return { score: 100, kind: 'exact' };
+        if (word.startsWith(term)) return { score: 70, kind: 'prefix' };
+        if (term.length >= 3 && word.includes(term)) return { score: 40, kind: 'partial' };
+
+        // Typos: one edit in 4+ letters, two in 7+, against the word or what
+        // has been typed of it so far
+        if (term.length < 4) return null;
+        const allowed = term.length >= 7 ? 2 : 1;
+        if (word.length < term.length - allowed) return null;
+        const distance = Math.min(
+            DonkdleSearch.editDistance(term, word),
+            word.length > term.length ? DonkdleSearch.editDistance(term, word.slice(0, term.length)) : Infinity
+        );
+        return distance <= allowed ? { score: 40 - 10 * distance, kind: 'typo' } : null;
+    }
+
+    matchTerm(term) {
+        // Best match of one query term for each location: index -> match
+        if (this.termCache.has(term)) return this.termCache.get(term);
+        const best = new Map();
+        const candidates = [{ text: term, alias: false }]
+            .concat((DonkdleSearch.ALIASES[term] || []).map(text => ({ text, alias: true })));
+        // Abbreviations such as GB or BFI aren't words of any location themselves
+        const abbreviation = candidates.length > 1 && !this.vocabulary.has(term);
+
+        for (const [word, postings] of this.vocabulary) {
+            for (const candidate of candidates) {
+                const match = DonkdleSearch.matchWord(candidate.text, word);
+                if (!match) continue;
+                for (const posting of postings) {
+                    let score = match.score * DonkdleSearch.FIELD_WEIGHTS[posting.field];
+                    // An item type's abbreviation (GB, BP, BFI...) means that type before names with the word
+                    if (abbreviation && candidate.alias && posting.field === 'type' && match.kind === 'exact') {
+                        score += DonkdleSearch.TYPE_ALIAS_BONUS;
+                    }
+                    const current = best.get(posting.index);
+                    if (!current || score > current.score) {
+                        best.set(posting.index, {
+                            score,
+                            term,
+                            field: posting.field,
+                            value: posting.value,
+                            kind: candidate.alias ? 'alias' : match.kind
+                        });
+                    }
+                }
+            }
+        }
+        this.termCache.set(term, best);
+        return best;
+    }
+
+    search(query, { pool = null, limit = 15 } = {}) {
+        // Locations matching every term come first, then those missing some.
+        // Returns [{ location, score, reasons }], where reasons list the
+        // matches that aren't plainly in the name.
+        const terms = DonkdleSearch.words(query).map(([word]) => word);
+        if (terms.length === 0) return [];
+
+        const allowed = pool ? new Set(pool.map(loc => loc.id)) : null;
+        const matches = terms.map(term => this.matchTerm(term));
+        const indices = new Set();
+        matches.forEach(termMatch => termMatch.forEach((match, index) => indices.add(index)));
+
+        const results = [];
+        indices.forEach(index => {
+            const location = this.locations[index];
+            if (allowed && !allowed.has(location.id)) return;
+
+            const termMatches = matches.map(termMatch => termMatch.get(index)).filter(Boolean);
+
+            const nameLower = location.name.toLowerCase();
+            let score = termMatches.reduce((sum, match) => sum + match.score, 0);
+            score -= (terms.length - termMatches.length) * DonkdleSearch.MISSING_TERM_PENALTY;
+            // Bonus for name starting with the first term
+            if (nameLower.startsWith(terms[0])) score += 100;
+            // Bonus for shorter names (more specific)
+            score += (100 - nameLower.length) / 10;
+
+            const reasons = termMatches.filter(match =>
+                match.field !== 'name' || match.kind === 'typo' || match.kind === 'alias');
+            results.push({ location, score, reasons });
+        });
+
+        return results
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+}
+
+// Community shorthand, searched as if the words on the right were typed
+DonkdleSearch.ALIASES = {
+    gb: ['banana'],
+    bp: ['blueprint', 'kasplat'],
+    kasplat: ['blueprint'],
+    cb: ['medal', 'cbs'],
+    rw: ['rainbowcoin', 'dirt'],
+    rc: ['rainbowcoin', 'dirt'],
+    dk: ['donkey'],
+    bfi: ['fairy'],
+    sax: ['saxophone'],
+    ostand: ['orangstand'],
+    port: ['monkeyport'],
+    sniper: ['scope']
+};
+
+// Lifts exact type matches of an abbreviation above name matches of its expansion
+DonkdleSearch.TYPE_ALIAS_BONUS = 50;
+
+// Per query term a location doesn't match; more than any matches can add up to
+DonkdleSearch.MISSING_TERM_PENALTY = 1000;
+
+// How much a match in each field counts relative to one in the name
+DonkdleSearch.FIELD_WEIGHTS = {
+    name: 1,
+    level: 0.8,
+    region: 0.8,
+    kong: 0.8,
+    type: 0.8,
+    move: 0.8
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DonkdleSearch;
+}
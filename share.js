@@ -0,0 +1,189 @@
+// Donkdle Share - the machine-readable part of daily share texts, and a parser
+// that reads pasted share texts back for the friends board.
+//
+// Daily and archive share texts end with a tag line that doesn't depend on the
+// language they were shared in, e.g.
+//   #Donkdle1 2026-03-14 v2 hard strict archive hints1 4/6 1x9k2mq
+// The number after #Donkdle is the share format, and the last field is a
+// checksum over the tag and the emoji grid. It catches texts that were cut off
+// or edited by accident; anyone can recompute it, so it proves nothing about
+// the game actually played.
+if (typeof DonkdleEngine === 'undefined' && typeof require !== 'undefined') {
+    globalThis.DonkdleEngine = require('./engine.js');
+}
+
+class DonkdleShare {
+    static formatTag(result) {
+        // result: { date, version, hardMode, strictMode, archive, hints, won, maxGuesses, grid }
+        // where grid rows are { statuses: [4 statuses], arrow }
+        const fields = DonkdleShare.getTagFields(result);
+        return `#Donkdle${DonkdleShare.FORMAT} ${fields.join(' ')} ${DonkdleShare.checksum(fields, result.grid)}`;
+    }
+
+    static getTagFields(result) {
+        const max = result.maxGuesses === Infinity ? '∞' : result.maxGuesses;
+        return [
+            DonkdleEngine.formatDateParam(result.date),
+            `v${result.version === '2' ? '2' : '1'}`,
+            result.hardMode ? 'hard' : 'normal',
+            result.strictMode ? 'strict' : '',
+            result.archive ? 'archive' : '',
+            result.hints > 0 ? `hints${result.hints}` : '',
+            `${result.won ? result.grid.length : 'X'}/${max}`
+        ].filter(Boolean);
+    }
+
+    static checksum(fields, grid) {
+        const rows = grid.map(row => row.statuses.map(status => status[0]).join('') + (DonkdleShare.ARROWS[row.arrow] || ''));
+        return DonkdleEngine.hashString(`${DonkdleShare.FORMAT}|${fields.join('|')}|${rows.join(',')}`).toString(36);
+    }
+
+    static parse(text) {
+        // Reads every share text in a paste. Returns { results, errors }: results
+        // as in formatTag plus date as YYYY-MM-DD and guesses, errors as { line, message }
+        const results = [];
+        const errors = [];
+        const lines = String(text).split(/\r?\n/).map(line => line.trim());
+
+        // Each share text starts at a "Donkdle" header line
+        const blocks = [];
+        lines.forEach((line, index) => {
+            if (/^Donkdle\b/.test(line)) {
+                blocks.push({ start: index, lines: [] });
+            }
+            if (blocks.length > 0) blocks[blocks.length - 1].lines.push(line);
+        });
+        if (blocks.length === 0) {
+            errors.push({ line: 0, message: 'No Donkdle share text found' });
+        }
+
+        for (const block of blocks) {
+            try {
+                results.push(DonkdleShare.parseBlock(block.lines));
+            } catch (error) {
+                errors.push({ line: block.start + 1, message: `${block.lines[0]}: ${error.message}` });
+            }
+        }
+        return { results, errors };
+    }
+
+    static parseBlock(lines) {
+        const tagLine = lines.find(line => line.startsWith('#Donkdle'));
+        if (!tagLine) {
+            // Older share texts, and modes without a daily puzzle, have no tag
+            throw new Error('Not a daily result, or shared before results could be compared');
+        }
+        const tag = /^#Donkdle(\d+) (.+) ([0-9a-z]+)$/.exec(tagLine);
+        if (!tag) throw new Error('Malformed tag line');
+        if (Number(tag[1]) > DonkdleShare.FORMAT) throw new Error('Shared from a newer version of Donkdle');
+        if (Number(tag[1]) < 1) throw new Error('Unknown share format');
+
+        const fields = tag[2].split(' ');
+        const date = DonkdleEngine.parseDateParam(fields[0]);
+        const version = { v1: '1', v2: '2' }[fields[1]];
+        const difficulty = fields[2];
+        const tries = /^(\d+|X)\/(\d+|∞)$/.exec(fields[fields.length - 1]);
+        if (!date || !version || !['normal', 'hard'].includes(difficulty) || !tries) {
+            throw new Error('Malformed tag line');
+        }
+        const flags = fields.slice(3, -1);
+        const hintsFlag = flags.find(flag => /^hints\d+$/.test(flag));
+        if (flags.some(flag => !['strict', 'archive'].includes(flag) && flag !== hintsFlag)) {
+            throw new Error('Malformed tag line');
+        }
+
+        const result = {
+            date: fields[0],
+            version,
+            hardMode: difficulty === 'hard',
+            strictMode: flags.includes('strict'),
+            archive: flags.includes('archive'),
+            hints: hintsFlag ? Number(hintsFlag.slice(5)) : 0,
+            won: tries[1] !== 'X',
+            maxGuesses: tries[2] === '∞' ? Infinity : Number(tries[2]),
+            grid: DonkdleShare.parseGrid(lines)
+        };
+        result.guesses = result.grid.length;
+
+        if (DonkdleShare.checksum(DonkdleShare.getTagFields({ ...result, date }), result.grid) !== tag[3]) {
+            throw new Error('The grid or tag doesn\'t match its checksum; it may have been cut off or changed');
+        }
+        DonkdleShare.checkConsistency(result, lines);
+        return result;
+    }
+
+    static parseGrid(lines) {
+        // Grid rows are four squares, then an optional level arrow and split time
+        const grid = [];
+        let palette = null;
+        for (const line of lines) {
+            const squares = Array.from(line.replace(/\s+\d+:\d{2}(\.\d)?$/, '').replace(/\uFE0F/g, ''));
+            if (squares.length === 0 || !squares.every(char => DonkdleShare.SQUARES[char] || DonkdleShare.ARROW_EMOJI[char])) {
+                continue;
+            }
+
+            const statuses = squares.slice(0, 4).map(char => DonkdleShare.SQUARES[char]);
+            const rest = squares.slice(4);
+            if (statuses.length !== 4 || statuses.some(status => !status) || rest.length > 1 ||
+                (rest.length === 1 && !DonkdleShare.ARROW_EMOJI[rest[0]])) {
+                throw new Error(`Malformed grid row "${line}"`);
+            }
+
+            // Normal and colorblind squares can't be mixed in one text
+            const rowPalette = squares.slice(0, 4).find(char => char !== '⬛');
+            const rowPaletteName = rowPalette ? ('🟩🟨'.includes(rowPalette) ? 'normal' : 'colorblind') : null;
+            if (rowPaletteName && palette && rowPaletteName !== palette) {
+                throw new Error('Grid mixes normal and colorblind squares');
+            }
+            palette = palette || rowPaletteName;
+
+            grid.push({ statuses, arrow: rest.length === 1 ? DonkdleShare.ARROW_EMOJI[rest[0]] : '' });
+        }
+        return grid;
+    }
+
+    static checkConsistency(result, lines) {
+        // Things no real game produces, even with a valid checksum
+        const solvedAt = result.grid.findIndex(row => row.statuses.every(status => status === 'correct'));
+        if (result.won && solvedAt !== result.grid.length - 1) {
+            throw new Error('A won game has to end on its first all-green row');
+        }
+        if (!result.won && (solvedAt !== -1 || result.grid.length !== result.maxGuesses)) {
+            throw new Error('A lost game uses every guess without an all-green row');
+        }
+        if (result.grid.length === 0) {
+            throw new Error('Grid has no guesses');
+        }
+        if (result.maxGuesses !== (result.hardMode ? 6 : Infinity) || result.grid.length > result.maxGuesses) {
+            throw new Error('Guess count doesn\'t match the difficulty');
+        }
+        if (result.grid.some(row => row.arrow && (result.version !== '2' || row.statuses[0] !== 'absent'))) {
+            throw new Error('Level arrows only appear on 2.0 rows with a wrong level');
+        }
+
+        // The human-readable tries line has to agree with the tag
+        const tries = lines.find(line => /^(\d+|X)\/(\d+|∞)$/.test(line));
+        const expected = `${result.won ? result.guesses : 'X'}/${result.maxGuesses === Infinity ? '∞' : result.maxGuesses}`;
+        if (tries && tries !== expected) {
+            throw new Error('Tries line doesn\'t match the grid');
+        }
+    }
+}
+
+// Bump when the tag line changes; older formats must still parse
+DonkdleShare.FORMAT = 1;
+
+DonkdleShare.SQUARES = {
+    '🟩': 'correct',
+    '🟨': 'present',
+    '⬛': 'absent',
+    '✅': 'correct',
+    '🔶': 'present'
+};
+
+DonkdleShare.ARROW_EMOJI = { '⬆': '↑', '⬇': '↓' };
+DonkdleShare.ARROWS = { '↑': 'u', '↓': 'd' };
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DonkdleShare;
+}
@@ -0,0 +1,135 @@
+// Donkdle Solver - tracks which locations are still possible given the
+// feedback so far and scores guesses by expected information.
+// Works on top of a DonkdleEngine, so it follows the same version and
+// hard mode rules the player saw.
+class DonkdleSolver {
+    constructor(engine) {
+        this.engine = engine;
+        this.openingCache = null;
+    }
+
+    feedbackKey(feedback) {
+        // Only what the player actually sees counts towards a key
+        const f = feedback.moves.feedback || {};
+        const parts = [
+            feedback.region.status,
+            feedback.region.arrow || '',
+            feedback.type.status,
+            feedback.requirement.status,
+            feedback.requirement.arrow || '',
+            feedback.moves.status
+        ];
+        if (!f.hardMode) {
+            // Normal mode also shows which of the guessed moves are correct
+            parts.push([...(f.common || [])].sort().join(','));
+        }
+        return parts.join('|');
+    }
+
+    isConsistent(candidate, guesses) {
+        return guesses.every(guess =>
+            this.feedbackKey(this.engine.evaluateGuess(guess.location, candidate)) ===
+            this.feedbackKey(guess.feedback)
+        );
+    }
+
+    getCandidates(guesses, pool = this.engine.locations) {
+        return pool.filter(loc => this.isConsistent(loc, guesses));
+    }
+
+    partition(guessed, candidates) {
+        // Groups candidates by the feedback this guess would produce
+        const groups = new Map();
+        for (const candidate of candidates) {
+            const key = this.feedbackKey(this.engine.evaluateGuess(guessed, candidate));
+            groups.set(key, (groups.get(key) || 0) + 1);
+        }
+        return groups;
+    }
+
+    expectedInformation(guessed, candidates) {
+        // Entropy in bits of the feedback distribution over the candidates
+        const total = candidates.length;
+        let bits = 0;
+        for (const count of this.partition(guessed, candidates).values()) {
+            const p = count / total;
+            bits -= p * Math.log2(p);
+        }
+        return bits;
+    }
+
+    getBestGuess(candidates, exclude = []) {
+        // Highest expected information wins; ties go to a possible answer
+        if (candidates.length === 0) return { location: null, bits: 0 };
+        if (candidates.length <= 2) {
+            return { location: candidates[0], bits: this.expectedInformation(candidates[0], candidates) };
+        }
+
+        const isOpening = candidates.length === this.engine.locations.length;
+        if (isOpening && this.openingCache && exclude.length === 0) return this.openingCache;
+
+        const excluded = new Set(exclude.map(loc => loc.id));
+        const candidateIds = new Set(candidates.map(loc => loc.id));
+        let best = { location: null, bits: -1 };
+
+        for (const loc of this.engine.locations) {
+            if (excluded.has(loc.id)) continue;
+            const bits = this.expectedInformation(loc, candidates);
+            if (bits > best.bits + 1e-9 ||
+                (Math.abs(bits - best.bits) <= 1e-9 && candidateIds.has(loc.id) && !candidateIds.has(best.location.id))) {
+                best = { location: loc, bits };
+            }
+        }
+
+        if (isOpening && exclude.length === 0) this.openingCache = best;
+        return best;
+    }
+
+    rateSkill(guessed, candidates, bits, bestBits) {
+        if (bestBits > 0) return Math.round(Math.min(bits / bestBits, 1) * 100);
+        // Nothing left to learn: only naming the answer counts
+        return candidates.some(loc => loc.id === guessed.id) ? 100 : 0;
+    }
+
+    analyze(guesses, pool = this.engine.locations) {
+        // Per-guess breakdown: candidates before/after, the solver's pick,
+        // skill (expected information vs. the best guess) and luck (how
+        // the actual outcome compared with the other possible outcomes).
+        // pool is where the target was drawn from, e.g. a practice drill's
+        const analysis = [];
+        let candidates = [...pool];
+
+        guesses.forEach((guess, index) => {
+            const before = candidates;
+            const after = this.getCandidates([guess], before);
+            const best = this.getBestGuess(before, guesses.slice(0, index).map(g => g.location));
+            const bits = this.expectedInformation(guess.location, before);
+
+            // Luck: share of outcomes (weighted by likelihood) that would have left more candidates
+            let luckier = 0;
+            for (const count of this.partition(guess.location, before).values()) {
+                if (count > after.length) luckier += count;
+                else if (count === after.length) luckier += count / 2;
+            }
+
+            analysis.push({
+                guess: guess.location,
+                candidatesBefore: before.length,
+                candidatesAfter: after.length,
+                bestGuess: best.location,
+                bestBits: best.bits,
+                bits,
+                skill: this.rateSkill(guess.location, before, bits, best.bits),
+                luck: Math.round((luckier / before.length) * 100)
+            });
+
+            candidates = after;
+        });
+
+        return analysis;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DonkdleSolver;
+}
@@ -0,0 +1,221 @@
+// Donkdle Stats - per-variant statistics and daily game history.
+// Takes a localStorage-like object so it can also run under Node.
+if (typeof DonkdleEngine === 'undefined' && typeof require !== 'undefined') {
+    globalThis.DonkdleEngine = require('./engine.js');
+}
+
+class DonkdleStats {
+    constructor(storage) {
+        this.storage = storage;
+        this.migrate();
+    }
+
+    static getVariant(version, hardMode) {
+        // e.g. 'v1_normal', 'v2_hard'
+        return `v${version === '2' ? '2' : '1'}_${hardMode ? 'hard' : 'normal'}`;
+    }
+
+    read(key, fallback) {
+        try {
+            const value = JSON.parse(this.storage.getItem(key));
+            return value === null ? fallback : value;
+        } catch (e) {
+            return fallback;
+        }
+    }
+
+    write(key, value) {
+        this.storage.setItem(key, JSON.stringify(value));
+    }
+
+    getStats(version, hardMode) {
+        const stats = this.read(`donkdle_stats_${DonkdleStats.getVariant(version, hardMode)}`, {});
+        return {
+            played: stats.played || 0,
+            won: stats.won || 0,
+            winPercentage: stats.played ? Math.round((stats.won / stats.played) * 100) : 0,
+            currentStreak: stats.currentStreak || 0,
+            maxStreak: stats.maxStreak || 0,
+            lastPlayed: stats.lastPlayed || '',
+            distribution: stats.distribution || {}
+        };
+    }
+
+    getLegacyStats() {
+        // Totals from before stats were split per variant, if there were any
+        return this.read('donkdle_stats_legacy', null);
+    }
+
+    getPersonalBest(version, hardMode) {
+        // Fastest won timed game: { time, guesses, date } or null
+        const bests = this.read('donkdle_personal_bests', {});
+        return bests[DonkdleStats.getVariant(version, hardMode)] || null;
+    }
+
+    recordTime(result) {
+        // result: { date, version, hardMode, time, guesses }
+        // Returns true if this is a new personal best
+        const bests = this.read('donkdle_personal_bests', {});
+        const variant = DonkdleStats.getVariant(result.version, result.hardMode);
+        const best = bests[variant];
+        if (best && best.time <= result.time) return false;
+
+        bests[variant] = {
+            time: result.time,
+            guesses: result.guesses,
+            date: DonkdleEngine.formatDateParam(result.date)
+        };
+        this.write('donkdle_personal_bests', bests);
+        return true;
+    }
+
+    getMarathonScores(version, hardMode) {
+        // Best marathon runs, highest score first: [{ score, guesses, date }]
+        const scores = this.read('donkdle_marathon_scores', {});
+        return scores[DonkdleStats.getVariant(version, hardMode)] || [];
+    }
+
+    recordMarathon(result) {
+        // result: { date, version, hardMode, score, guesses }
+        // Returns the run's place in the high-score table (1-based), or 0 if it didn't make it
+        const scores = this.read('donkdle_marathon_scores', {});
+        const variant = DonkdleStats.getVariant(result.version, result.hardMode);
+        const entry = {
+            score: result.score,
+            guesses: result.guesses,
+            date: DonkdleEngine.formatDateParam(result.date)
+        };
+        const table = DonkdleStats.sortMarathonScores([...(scores[variant] || []), entry]);
+        const place = table.indexOf(entry) + 1;
+        if (place === 0) return 0;
+
+        scores[variant] = table;
+        this.write('donkdle_marathon_scores', scores);
+        return place;
+    }
+
+    static sortMarathonScores(entries) {
+        // Higher score first; earlier runs keep their place on ties
+        return [...entries]
+            .sort((a, b) => b.score - a.score)
+            .slice(0, DonkdleStats.MARATHON_TABLE_SIZE);
+    }
+
+    getHistory() {
+        return this.read('donkdle_history', []);
+    }
+
+    record(result) {
+        // result: { date, version, hardMode, guesses, won, targetId }
+        // Returns false if this variant already has a result for that day
+        if (!this.applyResult(result)) return false;
+
+        const history = this.getHistory();
+        history.push({
+            date: DonkdleEngine.formatDateParam(result.date),
+            version: result.version === '2' ? '2' : '1',
+            hardMode: !!result.hardMode,
+            guesses: result.guesses,
+            won: !!result.won,
+            targetId: result.targetId || null
+        });
+        this.write('donkdle_history', history);
+        return true;
+    }
+
+    applyResult(result) {
+        // Adds one result to its variant's stats, without touching history
+        const variant = DonkdleStats.getVariant(result.version, result.hardMode);
+        const key = `donkdle_stats_${variant}`;
+        const stats = this.getStats(result.version, result.hardMode);
+        const day = DonkdleEngine.formatDateParam(result.date);
+
+        if (stats.lastPlayed === day) return false;
+
+        stats.played++;
+        if (result.won) {
+            stats.won++;
+            stats.distribution[result.guesses] = (stats.distribution[result.guesses] || 0) + 1;
+
+            // Update streak
+            const yesterday = DonkdleEngine.getDateForDay(DonkdleEngine.getDayNumber(result.date) - 1);
+            if (stats.lastPlayed === DonkdleEngine.formatDateParam(yesterday)) {
+                stats.currentStreak++;
+            } else {
+                stats.currentStreak = 1;
+            }
+            stats.maxStreak = Math.max(stats.maxStreak, stats.currentStreak);
+        } else {
+            stats.currentStreak = 0;
+        }
+        stats.lastPlayed = day;
+
+        const { winPercentage, ...stored } = stats;
+        this.write(key, stored);
+        return true;
+    }
+
+    rebuildFromHistory(history) {
+        // Replaces history and recomputes every variant's stats from it
+        for (const version of ['1', '2']) {
+            for (const hardMode of [false, true]) {
+                this.storage.removeItem(`donkdle_stats_${DonkdleStats.getVariant(version, hardMode)}`);
+            }
+        }
+
+        const sorted = [...history].sort((a, b) => a.date.localeCompare(b.date));
+        sorted.forEach(entry => this.applyResult({
+            ...entry,
+            date: DonkdleEngine.parseDateParam(entry.date)
+        }));
+        this.write('donkdle_history', sorted);
+    }
+
+    migrate() {
+        // The old single 'donkdle_stats' blob mixed every version and
+        // difficulty (and counted random games), so it can't be split.
+        // Per-variant stats are rebuilt from the saved daily games instead,
+        // and the old totals are kept as read-only legacy stats.
+        const legacy = this.storage.getItem('donkdle_stats');
+        if (legacy === null) return;
+
+        const results = [];
+        for (let i = 0; i < this.storage.length; i++) {
+            const match = /^donkdle_(\d{4})_(\d{1,2})_(\d{1,2})(_v2)?$/.exec(this.storage.key(i));
+            if (!match) continue;
+
+            const state = this.read(match[0], null);
+            if (!state || !state.gameOver || !state.guesses || state.guesses.length === 0) continue;
+
+            // Saves hold ids from schema 2 on (see DonkdleEngine.migrateState)
+            const lastGuess = state.guesses[state.guesses.length - 1];
+            const moves = lastGuess.feedback && lastGuess.feedback.moves;
+            const hardMode = typeof state.hardMode === 'boolean'
+                ? state.hardMode
+                : !!(moves && moves.feedback && moves.feedback.hardMode);
+            const lastId = lastGuess.location ? lastGuess.location.id : lastGuess.id;
+            results.push({
+                date: new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])),
+                version: match[4] ? '2' : '1',
+                hardMode,
+                guesses: state.guesses.length,
+                won: !!state.gameWon,
+                targetId: state.gameWon && lastId ? lastId : null
+            });
+        }
+
+        results
+            .sort((a, b) => a.date - b.date)
+            .forEach(result => this.record(result));
+
+        this.storage.setItem('donkdle_stats_legacy', legacy);
+        this.storage.removeItem('donkdle_stats');
+    }
+}
+
+// Runs kept per variant in the marathon high-score table
+DonkdleStats.MARATHON_TABLE_SIZE = 10;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DonkdleStats;
+}
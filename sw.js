@@ -0,0 +1,107 @@
+// Donkdle Service Worker - precaches the whole site so every mode plays offline.
+// Bump CACHE_VERSION whenever code or markup changes; open pages then offer a refresh.
+// The dataset is also revalidated in the background on every load.
+const CACHE_VERSION = 'donkdle-v25';
+const DATASET_URL = 'locations_data.json';
+
+const PRECACHE = [
+    './',
+    'index.html',
+    'game.html',
+    'archive.html',
+    'practice.html',
+    'community.html',
+    'friends.html',
+    'styles.css',
+    'engine.js',
+    'search.js',
+    'dataset.js',
+    'card.js',
+    'share.js',
+    'leaderboard.js',
+    'i18n.js',
+    'locales/en.js',
+    'locales/es.js',
+    'locales/fr.js',
+    'solver.js',
+    'marathon.js',
+    'versus.js',
+    'stats.js',
+    'backup.js',
+    'game.js',
+    'archive.js',
+    'practice.js',
+    'community.js',
+    'friends.js',
+    'pwa.js',
+    'DONKDLE.png',
+    'bgfinal.webp',
+    'icon.svg',
+    'manifest.webmanifest',
+    DATASET_URL
+];
+
+self.addEventListener('install', (event) => {
+    // Skip the HTTP cache so a new version never precaches old files.
+    // It then waits until the page asks it to take over.
+    event.waitUntil(caches.open(CACHE_VERSION)
+        .then(cache => cache.addAll(PRECACHE.map(url => new Request(url, { cache: 'reload' })))));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_VERSION).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'skip-waiting') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const url = new URL(event.request.url);
+    if (event.request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    if (url.pathname.endsWith(`/${DATASET_URL}`)) {
+        event.respondWith(serveDataset(event));
+        return;
+    }
+
+    // Cache first; the query string only picks a mode, so game.html?mode=daily is game.html
+    event.respondWith(
+        caches.match(event.request, { ignoreSearch: true })
+            .then(cached => cached || fetch(event.request))
+    );
+});
+
+async function serveDataset(event) {
+    const cache = await caches.open(CACHE_VERSION);
+    const cached = await cache.match(DATASET_URL);
+    const current = cached ? await cached.clone().text() : null;
+    const refresh = fetch(event.request, { cache: 'no-cache' })
+        .then(async (response) => {
+            if (!response.ok) return response;
+            const fresh = await response.clone().text();
+            if (fresh !== current) {
+                await cache.put(DATASET_URL, response.clone());
+                if (current !== null) notifyClients({ type: 'dataset-updated' });
+            }
+            return response;
+        });
+
+    if (cached) {
+        // Serve what we have now and check for new locations in the background
+        event.waitUntil(refresh.catch(() => {}));
+        return cached;
+    }
+    return refresh;
+}
+
+async function notifyClients(message) {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage(message));
+}
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DonkdleBackup = require('../backup.js');
+
+class MemoryStorage {
+    constructor(items = {}) {
+        this.items = new Map(Object.entries(items).map(([key, value]) => [key, JSON.stringify(value)]));
+    }
+
+    getItem(key) { return this.items.has(key) ? this.items.get(key) : null; }
+    setItem(key, value) { this.items.set(key, String(value)); }
+    removeItem(key) { this.items.delete(key); }
+    key(index) { return [...this.items.keys()][index] ?? null; }
+    get length() { return this.items.size; }
+    read(key) { return JSON.parse(this.getItem(key)); }
+}
+
+const backupOf = data => ({ format: DonkdleBackup.FORMAT, version: DonkdleBackup.VERSION, data });
+const entry = (date, won, guesses) => ({ date, version: '1', hardMode: false, guesses, won, targetId: null });
+
+test('validate rejects malformed history entries', () => {
+    assert.equal(DonkdleBackup.validate(backupOf({ donkdle_history: [entry('2026-03-01', true, 3)] })).length, 0);
+    for (const bad of [{ version: '1' }, null, { ...entry('2026-02-31', true, 3) }, { ...entry('2026-03-01', 'yes', 3) }]) {
+        assert.equal(DonkdleBackup.validate(backupOf({ donkdle_history: [bad] })).length, 1);
+    }
+    assert.equal(DonkdleBackup.validate(backupOf({ donkdle_dataset_bananas_history: [null] })).length, 1);
+});
+
+test('a merge that fails leaves storage untouched', () => {
+    const storage = new MemoryStorage({ donkdle_history: [entry('2026-03-01', true, 3)] });
+    const before = [...storage.items];
+    assert.throws(() => DonkdleBackup.merge(storage, backupOf({
+        donkdle_2026_3_2: { guesses: [{ id: 'A' }], gameOver: true, gameWon: true },
+        donkdle_history: [null]
+    })));
+    assert.deepEqual([...storage.items], before);
+});
+
+test('alternate datasets merge their stats and history in their own namespace', () => {
+    const storage = new MemoryStorage({ donkdle_dataset_bananas_history: [entry('2026-03-01', true, 3)] });
+    const report = DonkdleBackup.merge(storage, backupOf({
+        donkdle_dataset_bananas_history: [entry('2026-03-02', true, 2)],
+        donkdle_dataset_bananas_stats_v1_normal: { played: 1, won: 1, currentStreak: 1, maxStreak: 1, lastPlayed: '2026-03-02', distribution: { 2: 1 } }
+    }));
+
+    assert.deepEqual(report.conflicts, []);
+    assert.equal(storage.read('donkdle_dataset_bananas_history').length, 2);
+    const stats = storage.read('donkdle_dataset_bananas_stats_v1_normal');
+    assert.equal(stats.played, 2);
+    assert.equal(stats.currentStreak, 2);
+    // The official dataset's stats are left alone
+    assert.equal(storage.getItem('donkdle_history'), null);
+});
+
+test('marathon runs and versus matches keep whichever got further', () => {
+    const run = (rounds, guesses) => ({
+        rounds: Array.from({ length: rounds }, () => ({ targetId: 'A', guesses: [], won: true })),
+        current: { guesses: Array.from({ length: guesses }, () => ({ id: 'B' })) }
+    });
+    const storage = new MemoryStorage({ donkdle_marathon: run(2, 1), donkdle_versus_v2: run(1, 3) });
+    const report = DonkdleBackup.merge(storage, backupOf({ donkdle_marathon: run(3, 0), donkdle_versus_v2: run(1, 2) }));
+
+    assert.equal(storage.read('donkdle_marathon').rounds.length, 3);
+    assert.equal(storage.read('donkdle_versus_v2').current.guesses.length, 3);
+    assert.equal(report.updated, 1);
+    assert.deepEqual(report.conflicts, []);
+});
@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DonkdleDataset = require('../dataset.js');
+const DonkdleBackup = require('../backup.js');
+
+const LOCATIONS = require('../locations_data.json');
+
+test('datasets with the same name but another origin get their own id', () => {
+    const bananas = LOCATIONS.filter(loc => loc.type === 'Banana');
+    const fetched = DonkdleDataset.parse({ name: 'Bananas only', locations: bananas }, '', '/lists/bananas.json');
+    const elsewhere = DonkdleDataset.parse({ name: 'Bananas only', locations: bananas }, '', '/other/bananas.json');
+    assert.notEqual(fetched.id, elsewhere.id);
+    assert.equal(DonkdleDataset.parse({ name: 'Bananas only', locations: LOCATIONS }, '', '/lists/bananas.json').id, fetched.id);
+
+    // Picked files have no path, so their contents tell them apart
+    const picked = DonkdleDataset.parse(bananas, 'bananas');
+    assert.equal(DonkdleDataset.parse(bananas.slice(), 'bananas').id, picked.id);
+    assert.notEqual(DonkdleDataset.parse(bananas.slice(1), 'bananas').id, picked.id);
+});
+
+test('dataset ids fit the keys backups read them from', () => {
+    const { id } = DonkdleDataset.parse({ name: 'Banañas_only!', locations: LOCATIONS }, '', '/lists/x.json');
+    assert.match(id, /^[a-z0-9-]+$/);
+    const storage = { items: new Map(), getItem(key) { return this.items.get(key) ?? null; }, setItem(key, value) { this.items.set(key, value); } };
+    DonkdleDataset.namespace(storage, id).setItem('donkdle_history', '[]');
+    assert.equal(DonkdleBackup.getDatasetId([...storage.items.keys()][0]), id);
+});
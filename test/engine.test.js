@@ -0,0 +1,247 @@
+// Pins down the v1 and v2 feedback rules and the guessing flow of engine.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DonkdleEngine = require('../engine.js');
+
+const LOCATIONS = [
+    { id: 'JapesTwo', name: 'Japes Two Kongs', hint_region: 'Japes Hillside', level: 'Jungle Japes', kong: 'Donkey, Diddy', type: 'Banana', moves: ['blast', 'grab'] },
+    { id: 'JapesTwoSwapped', name: 'Japes Two Kongs Swapped', hint_region: 'Japes Lowlands', level: 'Jungle Japes', kong: 'Diddy, Donkey', type: 'Banana', moves: ['grab'] },
+    { id: 'AztecAnyMedal', name: 'Aztec Any Medal', hint_region: 'Aztec Temple', level: 'Angry Aztec', kong: 'Any', type: 'Medal', moves: [] },
+    { id: 'AztecAnyBanana', name: 'Aztec Any Banana', hint_region: 'Aztec Oasis', level: 'Angry Aztec', kong: 'Any', type: 'Banana', moves: ['slam', 'grab', 'blast'] },
+    { id: 'CastleDonkey', name: 'Castle Donkey', hint_region: 'Castle Tree', level: 'Creepy Castle', kong: 'Donkey', type: 'Banana', moves: ['blast', 'slam'] },
+    { id: 'IslesDonkey', name: 'Isles Donkey', hint_region: 'Main Isles', level: 'DK Isles', kong: 'Donkey', type: 'Medal', moves: ['blast', 'grab'] }
+];
+
+const DATASET = require('../locations_data.json');
+
+const byId = id => LOCATIONS.find(loc => loc.id === id);
+
+function evaluate(guessId, targetId, options) {
+    const engine = new DonkdleEngine(LOCATIONS, options);
+    return engine.evaluateGuess(byId(guessId), byId(targetId));
+}
+
+test('v1 compares kongs as a set', () => {
+    assert.equal(evaluate('JapesTwo', 'JapesTwoSwapped').type.status, 'correct');
+    assert.equal(evaluate('JapesTwo', 'CastleDonkey').type.status, 'absent');
+    assert.equal(evaluate('JapesTwo', 'CastleDonkey').type.label, 'KONG');
+});
+
+test('v1 compares kongs even when the guess is Any', () => {
+    const feedback = evaluate('AztecAnyMedal', 'AztecAnyBanana');
+    assert.equal(feedback.type.label, 'KONG');
+    assert.equal(feedback.type.value, 'Any');
+    assert.equal(feedback.type.status, 'correct');
+});
+
+test('v2 shows the type for Any locations and the kong otherwise', () => {
+    const anyFeedback = evaluate('AztecAnyMedal', 'IslesDonkey', { version: '2' });
+    assert.equal(anyFeedback.type.label, 'TYPE');
+    assert.equal(anyFeedback.type.value, 'Medal');
+    assert.equal(anyFeedback.type.status, 'correct');
+    assert.equal(evaluate('AztecAnyMedal', 'AztecAnyBanana', { version: '2' }).type.status, 'absent');
+
+    const kongFeedback = evaluate('CastleDonkey', 'IslesDonkey', { version: '2' });
+    assert.equal(kongFeedback.type.label, 'KONG');
+    assert.equal(kongFeedback.type.status, 'correct');
+    // v2 compares the kong text as it is, so a reordered list doesn't match
+    assert.equal(evaluate('JapesTwo', 'JapesTwoSwapped', { version: '2' }).type.status, 'absent');
+});
+
+test('region is green for the same hint region and yellow for the same level', () => {
+    assert.equal(evaluate('JapesTwo', 'JapesTwo').region.status, 'correct');
+    assert.equal(evaluate('JapesTwo', 'JapesTwoSwapped').region.status, 'present');
+    assert.equal(evaluate('JapesTwo', 'CastleDonkey').region.status, 'absent');
+});
+
+test('level arrows point towards the target level in v2 only', () => {
+    assert.equal(evaluate('JapesTwo', 'CastleDonkey', { version: '2' }).region.arrow, '↑');
+    assert.equal(evaluate('CastleDonkey', 'IslesDonkey', { version: '2' }).region.arrow, '↓');
+    assert.equal(evaluate('JapesTwo', 'JapesTwoSwapped', { version: '2' }).region.arrow, '');
+    assert.equal(evaluate('JapesTwo', 'CastleDonkey').region.arrow, '');
+});
+
+test('requirement count is green when equal and points up or down otherwise', () => {
+    const equal = evaluate('JapesTwo', 'CastleDonkey');
+    assert.equal(equal.requirement.status, 'correct');
+    assert.equal(equal.requirement.arrow, '');
+
+    const up = evaluate('JapesTwoSwapped', 'AztecAnyBanana');
+    assert.equal(up.requirement.status, 'absent');
+    assert.equal(up.requirement.arrow, '↑');
+    assert.equal(up.requirement.value, 1);
+
+    assert.equal(evaluate('AztecAnyBanana', 'AztecAnyMedal').requirement.arrow, '↓');
+});
+
+test('moves list common, missing and extra moves', () => {
+    const feedback = evaluate('JapesTwo', 'CastleDonkey');
+    assert.equal(feedback.moves.status, 'present');
+    assert.deepEqual(feedback.moves.feedback, {
+        common: ['blast'],
+        missing: ['slam'],
+        extra: ['grab'],
+        hardMode: false
+    });
+
+    assert.equal(evaluate('JapesTwo', 'IslesDonkey').moves.status, 'correct');
+    assert.equal(evaluate('AztecAnyMedal', 'JapesTwo').moves.status, 'absent');
+    // Two locations without moves match exactly
+    assert.equal(evaluate('AztecAnyMedal', 'AztecAnyMedal').moves.status, 'correct');
+});
+
+test('hard mode hides which moves matched but keeps the status', () => {
+    const feedback = evaluate('JapesTwo', 'CastleDonkey', { hardMode: true });
+    assert.equal(feedback.moves.status, 'present');
+    assert.deepEqual(feedback.moves.feedback, {
+        allMoves: ['blast', 'grab'],
+        common: [],
+        missing: [],
+        extra: [],
+        hardMode: true
+    });
+});
+
+test('makeGuess rejects empty, unknown and repeated guesses', () => {
+    const engine = new DonkdleEngine(LOCATIONS);
+    engine.setTarget(byId('CastleDonkey'));
+
+    assert.deepEqual(engine.makeGuess('  '), { error: 'empty' });
+    assert.deepEqual(engine.makeGuess('Nowhere'), { error: 'not-found' });
+    assert.ok(engine.makeGuess('japes two kongs').guess);
+    assert.deepEqual(engine.makeGuess('Japes Two Kongs'), { error: 'duplicate' });
+    assert.equal(engine.guesses.length, 1);
+});
+
+test('makeGuess wins on the target and refuses guesses afterwards', () => {
+    const engine = new DonkdleEngine(LOCATIONS);
+    engine.setTarget(byId('CastleDonkey'));
+
+    engine.makeGuess('Japes Two Kongs');
+    assert.equal(engine.gameOver, false);
+    engine.makeGuess('Castle Donkey');
+    assert.equal(engine.gameWon, true);
+    assert.equal(engine.gameOver, true);
+    assert.deepEqual(engine.makeGuess('Isles Donkey'), { error: 'game-over' });
+});
+
+test('hard mode loses after six wrong guesses; normal mode never runs out', () => {
+    const many = Array.from({ length: 7 }, (_, i) => ({
+        id: `Filler${i}`, name: `Filler ${i}`, hint_region: 'Main Isles', level: 'DK Isles', kong: 'Donkey', type: 'Banana', moves: []
+    }));
+    const locations = [...LOCATIONS, ...many];
+
+    const hard = new DonkdleEngine(locations, { hardMode: true });
+    hard.setTarget(byId('CastleDonkey'));
+    many.slice(0, 6).forEach(loc => hard.makeGuess(loc.name));
+    assert.equal(hard.gameOver, true);
+    assert.equal(hard.gameWon, false);
+    assert.deepEqual(hard.makeGuess('Castle Donkey'), { error: 'game-over' });
+
+    const normal = new DonkdleEngine(locations);
+    normal.setTarget(byId('CastleDonkey'));
+    many.forEach(loc => normal.makeGuess(loc.name));
+    assert.equal(normal.gameOver, false);
+    assert.equal(normal.maxGuesses, Infinity);
+});
+
+test('the daily schedule picks the same target for a date and version', () => {
+    const first = new DonkdleEngine(LOCATIONS, { version: '2' });
+    const second = new DonkdleEngine(LOCATIONS, { version: '2' });
+    const date = new Date(2026, 2, 14);
+    assert.equal(first.selectDailyLocation(date).id, second.selectDailyLocation(date).id);
+});
+
+test('each schedule cycle plays every location once', () => {
+    for (const version of ['1', '2']) {
+        const engine = new DonkdleEngine(DATASET, { version });
+        const size = engine.locations.length;
+        for (const cycle of [0, 1, 2]) {
+            const ids = new Set();
+            for (let day = cycle * size; day < (cycle + 1) * size; day++) ids.add(engine.getLocationForDay(day).id);
+            assert.equal(ids.size, size, `v${version} cycle ${cycle}`);
+        }
+    }
+});
+
+test('the v1 and v2 schedules are independent', () => {
+    const v1 = new DonkdleEngine(DATASET, { version: '1' });
+    const v2 = new DonkdleEngine(DATASET, { version: '2' });
+    let same = 0;
+    for (let day = 0; day < 300; day++) {
+        if (v1.getLocationForDay(day).id === v2.getLocationForDay(day).id) same++;
+    }
+    // About one day in the pool size by chance
+    assert.ok(same <= 5, `${same} shared days`);
+});
+
+test('no location is played two days running, even across cycles', () => {
+    // With three locations, a new cycle would often open with the last one played
+    for (const version of ['1', '2']) {
+        const engine = new DonkdleEngine(LOCATIONS.slice(0, 3), { version });
+        for (let day = 0; day < 300; day++) {
+            assert.notEqual(engine.getLocationForDay(day).id, engine.getLocationForDay(day + 1).id, `v${version} day ${day}`);
+        }
+        for (let day = 0; day < 300; day += 3) {
+            assert.equal(new Set([0, 1, 2].map(offset => engine.getLocationForDay(day + offset).id)).size, 3);
+        }
+    }
+});
+
+test('saved games keep their difficulty and strictness', () => {
+    const engine = new DonkdleEngine(LOCATIONS, { hardMode: true, strictMode: true });
+    engine.setTarget(byId('CastleDonkey'));
+    engine.makeGuess('Japes Two Kongs');
+    const state = JSON.parse(JSON.stringify(engine.getState()));
+
+    // Settings changed in another tab don't change a game already started
+    const restored = new DonkdleEngine(LOCATIONS, { hardMode: false, strictMode: false });
+    assert.equal(restored.loadState(state), true);
+    assert.equal(restored.hardMode, true);
+    assert.equal(restored.strictMode, true);
+    assert.equal(restored.targetLocation.id, 'CastleDonkey');
+    assert.equal(restored.guesses[0].location.id, 'JapesTwo');
+});
+
+test('schema 1 saves of won games keep their answer', () => {
+    const location = id => ({ location: byId(id), feedback: {} });
+    const state = { guesses: [location('JapesTwo'), location('IslesDonkey')], gameOver: true, gameWon: true, hints: [] };
+
+    const engine = new DonkdleEngine(LOCATIONS);
+    // The schedule now picks something else for that day
+    engine.setTarget(byId('CastleDonkey'));
+    assert.equal(engine.loadState(state), true);
+    assert.equal(engine.targetLocation.id, 'IslesDonkey');
+    assert.equal(engine.guesses[1].feedback.moves.status, 'correct');
+    assert.equal(engine.guesses[1].feedback.region.status, 'correct');
+});
+
+test('saves from a newer schema are refused without being migrated', () => {
+    const newer = { schema: DonkdleEngine.STATE_SCHEMA + 1, targetId: 'CastleDonkey', guesses: [] };
+    assert.equal(DonkdleEngine.isNewerState(newer), true);
+    assert.equal(DonkdleEngine.isNewerState({ guesses: [] }), false);
+    assert.equal(new DonkdleEngine(LOCATIONS).loadState(newer), false);
+});
+
+test('challenge tokens round-trip and reject tampering', () => {
+    const token = DonkdleEngine.encodeChallenge('CastleDonkey', DonkdleEngine.createRandom(1));
+    assert.equal(DonkdleEngine.decodeChallenge(token), 'CastleDonkey');
+    const flipped = token.slice(0, 10) + (token[10] === 'A' ? 'B' : 'A') + token.slice(11);
+    assert.equal(DonkdleEngine.decodeChallenge(flipped), null);
+    assert.equal(DonkdleEngine.decodeChallenge('not a token'), null);
+});
+
+test('challenge tokens give away neither shared prefixes nor id length', () => {
+    const long = 'IslesChunkyInstrumentPad';
+    const random = DonkdleEngine.createRandom(2);
+    const tokens = ['JapesTwo', 'JapesTwoSwapped', long, long].map(id => DonkdleEngine.encodeChallenge(id, random));
+    assert.equal(new Set(tokens.map(token => token.length)).size, 1);
+    // The same id encodes differently every time, and similar ids share no chunks
+    assert.notEqual(tokens[2], tokens[3]);
+    assert.notEqual(tokens[0].slice(4, 16), tokens[1].slice(4, 16));
+    tokens.forEach((token, index) => assert.equal(DonkdleEngine.decodeChallenge(token), ['JapesTwo', 'JapesTwoSwapped', long, long][index]));
+
+    // Ids longer than the padding still encode
+    const custom = 'x'.repeat(DonkdleEngine.CHALLENGE_ID_LENGTH + 5);
+    assert.equal(DonkdleEngine.decodeChallenge(DonkdleEngine.encodeChallenge(custom)), custom);
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DonkdleLeaderboard = require('../leaderboard.js');
+
+class MemoryStorage {
+    constructor() { this.items = new Map(); }
+    getItem(key) { return this.items.has(key) ? this.items.get(key) : null; }
+    setItem(key, value) { this.items.set(key, String(value)); }
+    removeItem(key) { this.items.delete(key); }
+}
+
+const result = (date, guesses, archive = false) => ({
+    date, version: '2', hardMode: false, strictMode: false, archive, hints: 0, won: true, guesses, grid: []
+});
+
+test('players are matched case-insensitively when adding and removing', () => {
+    const board = new DonkdleLeaderboard(new MemoryStorage());
+    board.add('Ann', [result('2026-03-01', 4)]);
+    assert.deepEqual(board.add('ann ', [result('2026-03-01', 3)]), { added: 0, updated: 1 });
+    board.add('Bob', [result('2026-03-01', 5)]);
+
+    board.removePlayer('ANN');
+    assert.deepEqual(board.getEntries().map(entry => entry.player), ['Bob']);
+});
+
+test('archive replays are listed unranked and never count as firsts', () => {
+    const board = new DonkdleLeaderboard(new MemoryStorage());
+    board.add('Ann', [result('2026-03-01', 4)]);
+    board.add('Bob', [result('2026-03-01', 1, true)]);
+
+    const day = board.getDay('2026-03-01', 'v2_normal');
+    assert.deepEqual(day.map(entry => [entry.player, entry.rank]), [['Ann', 1], ['Bob', null]]);
+
+    const season = board.getSeason('2026-03', 'v2_normal');
+    assert.equal(season.find(row => row.player === 'Ann').firsts, 1);
+    assert.equal(season.find(row => row.player === 'Bob').firsts, 0);
+    assert.equal(season.find(row => row.player === 'Bob').won, 1);
+});
@@ -0,0 +1,64 @@
+// The daily rolls over at midnight in Chicago whatever zone the player is in,
+// including on the days the clocks change there
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('node:child_process');
+const path = require('node:path');
+
+const ZONES = ['America/Chicago', 'UTC', 'Europe/London', 'Asia/Tokyo', 'Australia/Lord_Howe', 'America/Los_Angeles'];
+
+// [instant, puzzle day, next puzzle]
+const CASES = [
+    ['2026-03-08T05:59:59Z', '2026-03-07', '2026-03-08T06:00:00.000Z'],
+    ['2026-03-08T06:00:00Z', '2026-03-08', '2026-03-09T05:00:00.000Z'],
+    ['2026-03-09T04:59:59Z', '2026-03-08', '2026-03-09T05:00:00.000Z'],
+    ['2026-03-09T05:00:00Z', '2026-03-09', '2026-03-10T05:00:00.000Z'],
+    ['2026-11-01T04:59:59Z', '2026-10-31', '2026-11-01T05:00:00.000Z'],
+    ['2026-11-01T05:00:00Z', '2026-11-01', '2026-11-02T06:00:00.000Z'],
+    // The repeated 1am hour belongs to the same day
+    ['2026-11-01T06:30:00Z', '2026-11-01', '2026-11-02T06:00:00.000Z'],
+    ['2026-11-01T07:30:00Z', '2026-11-01', '2026-11-02T06:00:00.000Z'],
+    ['2026-11-02T05:59:59Z', '2026-11-01', '2026-11-02T06:00:00.000Z'],
+    ['2026-11-02T06:00:00Z', '2026-11-02', '2026-11-03T06:00:00.000Z']
+];
+
+// Runs in a child process, since the zone can't change once Node has started
+const CHILD = `
+    const DonkdleEngine = require(${JSON.stringify(path.join(__dirname, '..', 'engine.js'))});
+    const describe = now => {
+        const day = DonkdleEngine.getPuzzleDay(now);
+        return { day: DonkdleEngine.formatDateParam(day), midnight: day.getHours() === 0, next: DonkdleEngine.getNextPuzzleTime(now).toISOString() };
+    };
+    const cases = ${JSON.stringify(CASES.map(([now]) => now))}.map(now => describe(new Date(now)));
+
+    // Around both changes, the next puzzle starts exactly one puzzle day later
+    const gaps = [];
+    for (const start of [Date.UTC(2026, 2, 6), Date.UTC(2026, 9, 30)]) {
+        for (let t = start; t < start + 4 * 86400000; t += 17 * 60000) {
+            const now = new Date(t);
+            const next = DonkdleEngine.getNextPuzzleTime(now);
+            const today = DonkdleEngine.getDayNumber(DonkdleEngine.getPuzzleDay(now));
+            if (!(next > now) ||
+                DonkdleEngine.getDayNumber(DonkdleEngine.getPuzzleDay(next)) !== today + 1 ||
+                DonkdleEngine.getDayNumber(DonkdleEngine.getPuzzleDay(new Date(next - 1))) !== today) {
+                gaps.push(now.toISOString());
+            }
+        }
+    }
+    process.stdout.write(JSON.stringify({ cases, gaps }));
+`;
+
+function runIn(zone) {
+    const output = execFileSync(process.execPath, ['-e', CHILD], { env: { ...process.env, TZ: zone }, encoding: 'utf8' });
+    return JSON.parse(output);
+}
+
+for (const zone of ZONES) {
+    test(`puzzle days follow Chicago midnight with TZ=${zone}`, () => {
+        const { cases, gaps } = runIn(zone);
+        CASES.forEach(([now, day, next], index) => {
+            assert.deepEqual(cases[index], { day, midnight: true, next }, `at ${now}`);
+        });
+        assert.deepEqual(gaps, []);
+    });
+}
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DonkdleEngine = require('../engine.js');
+const DonkdleSearch = require('../search.js');
+
+const engine = new DonkdleEngine(require('../locations_data.json'));
+const search = new DonkdleSearch(engine.locations);
+
+test('type abbreviations rank that type above names containing the expansion', () => {
+    for (const [query, type] of [['gb', 'Banana'], ['bfi', 'Fairy'], ['bp', 'Blueprint']]) {
+        const results = search.search(query, { limit: 10 });
+        assert.ok(results.length > 0);
+        results.forEach(result => assert.equal(result.location.type, type, `${query}: ${result.location.name}`));
+        assert.equal(results[0].reasons[0].field, 'type');
+    }
+});
+
+test('words of the data keep their plain name match', () => {
+    const [first] = search.search('kasplat');
+    assert.match(first.location.name, /Kasplat/);
+    assert.deepEqual(first.reasons, []);
+});
+
+test('names and typos still match', () => {
+    assert.equal(search.search('banana fairy')[0].location.name, 'The Banana Fairy\'s Gift');
+    const full = search.search('blueprnt japes').filter(result => result.score > -DonkdleSearch.MISSING_TERM_PENALTY / 2);
+    assert.ok(full.length > 0);
+    assert.ok(full.every(result => result.location.type === 'Blueprint'));
+});
+
+test('single letters match prefixes and aliases', () => {
+    const results = search.search('k');
+    assert.ok(results.length > 0);
+    results.forEach(result => assert.ok(
+        DonkdleSearch.words(result.location.name).some(([word]) => word.startsWith('k')) || result.reasons.length > 0,
+        result.location.name
+    ));
+});
+
+test('locations missing a term rank below those matching every term', () => {
+    const results = search.search('kasplat zzzz', { limit: 5 });
+    assert.ok(results.length > 0);
+    assert.match(results[0].location.name, /Kasplat/);
+
+    const full = search.search('banana fairy', { limit: 100 });
+    const fullNames = full.filter(result => result.score > -DonkdleSearch.MISSING_TERM_PENALTY / 2).length;
+    assert.ok(fullNames > 0 && fullNames < full.length);
+    assert.ok(full.slice(fullNames).every(result => result.score < full[fullNames - 1].score));
+});
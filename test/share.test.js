@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DonkdleShare = require('../share.js');
+
+const row = (statuses, arrow = '') => ({ statuses, arrow });
+const GAME = {
+    date: new Date(2026, 2, 14),
+    version: '2',
+    hardMode: true,
+    strictMode: false,
+    archive: false,
+    hints: 0,
+    won: true,
+    maxGuesses: 6,
+    grid: [
+        row(['absent', 'present', 'absent', 'correct'], '↑'),
+        row(['correct', 'correct', 'correct', 'correct'])
+    ]
+};
+const EMOJI = { correct: '🟩', present: '🟨', absent: '⬛' };
+const ARROWS = { '↑': '⬆️', '↓': '⬇️' };
+
+function shareText(game, tag = DonkdleShare.formatTag(game)) {
+    const rows = game.grid.map(({ statuses, arrow }) => statuses.map(status => EMOJI[status]).join('') + (ARROWS[arrow] || ''));
+    return ['Donkdle 2.0 Hard 2026-03-14', `${game.grid.length}/6`, ...rows, tag].join('\n');
+}
+
+test('a share text reads back as the game that made it', () => {
+    const { results, errors } = DonkdleShare.parse(shareText(GAME));
+    assert.deepEqual(errors, []);
+    assert.equal(results[0].guesses, 2);
+    assert.equal(results[0].hardMode, true);
+    assert.deepEqual(results[0].grid, GAME.grid);
+});
+
+test('texts cut off or edited by accident are rejected', () => {
+    const tag = DonkdleShare.formatTag(GAME);
+    const lines = shareText(GAME).split('\n');
+    lines.splice(2, 1);
+    const { results, errors } = DonkdleShare.parse([lines[0], '1/6', ...lines.slice(2)].join('\n'));
+    assert.equal(results.length, 0);
+    assert.match(errors[0].message, /checksum/);
+    assert.ok(tag.endsWith(DonkdleShare.checksum(DonkdleShare.getTagFields(GAME), GAME.grid)));
+});
+
+test('the checksum is not a proof: a recomputed tag is accepted', () => {
+    // Only the grid's own consistency is checked, not the day's answer
+    const forged = { ...GAME, grid: [row(['correct', 'correct', 'correct', 'correct'])] };
+    assert.deepEqual(DonkdleShare.parse(shareText(forged)).errors, []);
+});
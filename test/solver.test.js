@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DonkdleEngine = require('../engine.js');
+const DonkdleSolver = require('../solver.js');
+
+const LOCATIONS = require('../locations_data.json');
+
+test('analysis starts from the pool the target was drawn from', () => {
+    const engine = new DonkdleEngine(LOCATIONS);
+    const pool = DonkdleEngine.filterPool(engine.locations, { levels: ['Jungle Japes'], kongs: ['Donkey'] });
+    engine.setTarget(pool[0]);
+    engine.makeGuess(pool[1].name);
+
+    const solver = new DonkdleSolver(engine);
+    const [step] = solver.analyze(engine.guesses, pool);
+    assert.equal(step.candidatesBefore, pool.length);
+    assert.ok(step.candidatesAfter >= 1 && step.candidatesAfter < pool.length);
+    assert.ok(solver.getCandidates(engine.guesses, pool).some(loc => loc.id === pool[0].id));
+
+    // Without a pool the whole dataset is possible
+    assert.equal(solver.analyze(engine.guesses)[0].candidatesBefore, engine.locations.length);
+});
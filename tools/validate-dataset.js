@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+// Validates a Donkdle location dataset and exits non-zero if it has errors.
+// Usage: node tools/validate-dataset.js [path/to/locations_data.json]
+const fs = require('fs');
+const path = require('path');
+const DonkdleDataset = require('../dataset.js');
+
+const file = process.argv[2] || path.join(__dirname, '..', 'locations_data.json');
+
+let locations;
+try {
+    locations = JSON.parse(fs.readFileSync(file, 'utf8'));
+} catch (error) {
+    console.error(`Could not read ${file}: ${error.message}`);
+    process.exit(2);
+}
+
+const report = DonkdleDataset.validate(locations);
+const count = Array.isArray(locations) ? locations.length : 0;
+console.log(`Validating ${path.relative(process.cwd(), file) || file} (${count} entries)\n`);
+
+for (const [check, label] of Object.entries(DonkdleDataset.CHECKS)) {
+    const errors = report.errors.filter(issue => issue.check === check);
+    const warnings = report.warnings.filter(issue => issue.check === check);
+
+    if (errors.length === 0 && warnings.length === 0) {
+        console.log(`  ✓ ${label}`);
+        continue;
+    }
+
+    const mark = errors.length > 0 ? '✗' : '!';
+    const counts = [
+        errors.length > 0 ? `${errors.length} error${errors.length === 1 ? '' : 's'}` : '',
+        warnings.length > 0 ? `${warnings.length} warning${warnings.length === 1 ? '' : 's'}` : ''
+    ].filter(Boolean).join(', ');
+    console.log(`  ${mark} ${label} (${counts})`);
+
+    for (const issue of errors) {
+        console.log(`      error   ${issue.id || '-'}: ${issue.message}`);
+    }
+    for (const issue of warnings) {
+        console.log(`      warning ${issue.id || '-'}: ${issue.message}`);
+    }
+}
+
+console.log(`\n${report.errors.length} error(s), ${report.warnings.length} warning(s)`);
+process.exit(report.errors.length > 0 ? 1 : 0);
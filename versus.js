@@ -0,0 +1,143 @@
+// Donkdle Versus - pass-and-play matches for 2-4 players on one device.
+// Players take turns guessing the same target on a shared board; whoever
+// names the location wins the round. Drives a DonkdleEngine like the marathon.
+if (typeof DonkdleEngine === 'undefined' && typeof require !== 'undefined') {
+    globalThis.DonkdleEngine = require('./engine.js');
+}
+
+class DonkdleVersus {
+    constructor(engine) {
+        this.engine = engine;
+        this.players = [];
+        this.turnOrder = 'rotate';
+        this.guessLimit = Infinity;
+        this.rounds = [];
+        this.order = [];
+        this.turn = 0;
+    }
+
+    setup(names, options = {}) {
+        // names: 2-4 player names. Options: turnOrder ('rotate', 'fixed'
+        // or 'random') and guessLimit (guesses per player and round)
+        this.players = names.map(name => ({ name, score: 0 }));
+        this.turnOrder = options.turnOrder || 'rotate';
+        this.guessLimit = options.guessLimit || Infinity;
+        this.rounds = [];
+    }
+
+    get roundOver() {
+        return this.engine.gameOver;
+    }
+
+    get currentPlayer() {
+        return this.order[this.turn % this.order.length];
+    }
+
+    getGuessCount(player) {
+        return this.engine.guesses.filter(guess => guess.player === player).length;
+    }
+
+    startRound(random = Math.random, pool = this.engine.locations) {
+        const indexes = this.players.map((player, index) => index);
+        if (this.turnOrder === 'random') {
+            this.order = DonkdleEngine.shuffle(indexes, random);
+        } else if (this.turnOrder === 'rotate') {
+            // A different player goes first every round
+            const first = this.rounds.length % indexes.length;
+            this.order = [...indexes.slice(first), ...indexes.slice(0, first)];
+        } else {
+            this.order = indexes;
+        }
+        this.turn = 0;
+
+        this.engine.reset();
+        // Everyone gets the same number of turns, so the round ends when the last one is used
+        this.engine.maxGuesses = this.guessLimit * this.players.length;
+        return this.engine.selectRandomLocation(random, pool);
+    }
+
+    makeGuess(locationName) {
+        // Same results as DonkdleEngine.makeGuess. The guess is credited
+        // to the player whose turn it was, and { round } is added when it
+        // ended the round.
+        const player = this.currentPlayer;
+        const result = this.engine.makeGuess(locationName);
+        if (result.error) return result;
+
+        result.guess.player = player;
+        if (this.engine.gameWon) {
+            this.players[player].score++;
+        }
+        if (this.engine.gameOver) {
+            result.round = {
+                target: this.engine.targetLocation,
+                winner: this.engine.gameWon ? player : null,
+                guesses: this.engine.guesses.length
+            };
+            this.rounds.push(result.round);
+        } else {
+            this.turn++;
+        }
+        return result;
+    }
+
+    getLeaders() {
+        // Player indexes with the highest score
+        const best = Math.max(...this.players.map(player => player.score));
+        return this.players
+            .map((player, index) => index)
+            .filter(index => this.players[index].score === best);
+    }
+
+    // Saved state
+
+    getState() {
+        return {
+            players: this.players,
+            turnOrder: this.turnOrder,
+            // JSON has no Infinity
+            guessLimit: this.guessLimit === Infinity ? null : this.guessLimit,
+            rounds: this.rounds.map(round => ({
+                targetId: round.target.id,
+                winner: round.winner,
+                guesses: round.guesses
+            })),
+            order: this.order,
+            turn: this.turn,
+            targetId: this.engine.targetLocation ? this.engine.targetLocation.id : null,
+            current: this.engine.getState()
+        };
+    }
+
+    loadState(state) {
+        // Returns false if the match can't be restored (e.g. the dataset changed)
+        const target = this.engine.findLocationById(state.targetId);
+        if (!target || !Array.isArray(state.players) || state.players.length < 2) return false;
+
+        // Older saves stored whole locations instead of ids
+        const rounds = (state.rounds || []).map(round => ({
+            target: this.engine.findLocationById(round.targetId || (round.target && round.target.id)),
+            winner: round.winner,
+            guesses: round.guesses
+        }));
+        if (rounds.some(round => !round.target)) return false;
+
+        this.engine.setTarget(target);
+        if (!this.engine.loadState(state.current || {})) return false;
+        this.players = state.players;
+        this.turnOrder = state.turnOrder || 'rotate';
+        this.guessLimit = state.guessLimit || Infinity;
+        this.rounds = rounds;
+        this.order = state.order || this.players.map((player, index) => index);
+        this.turn = state.turn || 0;
+        this.engine.maxGuesses = this.guessLimit * this.players.length;
+        return true;
+    }
+}
+
+DonkdleVersus.MIN_PLAYERS = 2;
+DonkdleVersus.MAX_PLAYERS = 4;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DonkdleVersus;
+}